@@ -0,0 +1,144 @@
+// Helpers shared by the pages. The single printer dashboard keeps its own
+// theme and notification code inside FlashForgeFinder.
+
+function initializeTheme() {
+    const toggle = document.getElementById('theme-toggle');
+    const updateIcon = () => {
+        const icon = toggle?.querySelector('i');
+        if (!icon) return;
+        const pref = localStorage.getItem('ff-theme');
+        const dark = pref === 'dark' || (!pref && window.matchMedia?.('(prefers-color-scheme: dark)').matches);
+        icon.className = dark ? 'fas fa-sun' : 'fas fa-moon';
+        toggle.title = dark ? 'Switch to light mode' : 'Switch to dark mode';
+    };
+
+    const pref = localStorage.getItem('ff-theme');
+    if (pref) document.documentElement.setAttribute('data-theme', pref);
+    updateIcon();
+    toggle?.addEventListener('click', () => {
+        const next = localStorage.getItem('ff-theme') === 'dark' ? 'light' : 'dark';
+        localStorage.setItem('ff-theme', next);
+        document.documentElement.setAttribute('data-theme', next);
+        updateIcon();
+    });
+}
+
+function showNotification(message, type = 'info') {
+    const icons = { success: 'fa-check-circle', error: 'fa-exclamation-circle', info: 'fa-info-circle' };
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.innerHTML = `<i class="fas ${icons[type] || icons.info}"></i>`;
+    const text = document.createElement('span');
+    text.textContent = message;
+    notification.appendChild(text);
+    document.body.appendChild(notification);
+    setTimeout(() => notification.remove(), 4000);
+}
+
+function formatDuration(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    if (h) return `${h}h ${m}m`;
+    if (m) return `${m}m`;
+    return `${seconds}s`;
+}
+
+// Time of day, with the date added when it isn't today
+function formatClockTime(iso) {
+    const date = new Date(iso);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return date.toDateString() === new Date().toDateString() ? time : `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+}
+
+const HEATER_NAMES = { extruder: 'Nozzle', extruder1: 'Second nozzle', bed: 'Bed' };
+
+// Toast text and type for a printer event from the WebSocket, null for the ones
+// too frequent to announce (layer changes, and the job outcomes jobFinished repeats)
+function describePrinterEvent(event) {
+    const file = event.job && event.job.file ? ` ${event.job.file}` : '';
+    switch (event.type) {
+        case 'jobStarted':
+            return { message: `Print started:${file}`, type: 'info' };
+        case 'jobPaused':
+            return { message: `Print paused:${file}`, type: 'info' };
+        case 'jobResumed':
+            return { message: `Print resumed:${file}`, type: 'info' };
+        case 'jobFinished': {
+            const outcome = event.job.outcome;
+            return { message: `Print ${outcome}:${file}`, type: outcome === 'completed' ? 'success' : outcome === 'failed' ? 'error' : 'info' };
+        }
+        case 'targetTempReached':
+            return { message: `${HEATER_NAMES[event.heater] || event.heater} reached ${event.target}°C`, type: 'success' };
+        case 'connectionLost':
+            return { message: 'Connection to the printer lost', type: 'error' };
+        case 'connectionRestored':
+            return { message: 'Printer is reachable again', type: 'success' };
+        case 'printerError':
+            return { message: `Printer reports an error (${event.machineStatus})`, type: 'error' };
+        default:
+            return null;
+    }
+}
+
+async function fetchJson(url, options) {
+    const response = await fetch(url, options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) throw new Error(data.error || `HTTP ${response.status}`);
+    return data;
+}
+
+// With auth enabled on the server, show a login form until an API key is
+// accepted. Resolves with the logged in user ({ name, role }).
+async function ensureLoggedIn() {
+    const { enabled, user } = await fetchJson('/auth/me');
+    if (user) {
+        if (enabled) addLogoutLink(user);
+        return user;
+    }
+
+    const overlay = document.createElement('div');
+    overlay.className = 'login-overlay';
+    overlay.innerHTML = `
+        <form class="login-form">
+            <h2><i class="fas fa-lock"></i> Log in</h2>
+            <input type="password" name="key" placeholder="API key" autocomplete="current-password" required>
+            <button type="submit" class="control-btn home"><i class="fas fa-sign-in-alt"></i> Log in</button>
+            <p class="login-error"></p>
+        </form>`;
+    document.body.appendChild(overlay);
+    const form = overlay.querySelector('form');
+    form.elements.key.focus();
+
+    return new Promise((resolve) => {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const data = await fetchJson('/auth/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ key: form.elements.key.value }),
+                });
+                overlay.remove();
+                addLogoutLink(data.user);
+                resolve(data.user);
+            } catch (error) {
+                overlay.querySelector('.login-error').textContent = error.message;
+            }
+        });
+    });
+}
+
+function addLogoutLink(user) {
+    const nav = document.querySelector('.page-nav');
+    if (!nav) return;
+    const link = document.createElement('a');
+    link.href = '#';
+    link.title = `Logged in as ${user.name} (${user.role})`;
+    link.innerHTML = '<i class="fas fa-sign-out-alt"></i> Log out';
+    link.addEventListener('click', async (e) => {
+        e.preventDefault();
+        await fetch('/auth/logout', { method: 'POST' });
+        window.location.reload();
+    });
+    nav.appendChild(link);
+}
@@ -0,0 +1,217 @@
+// Fleet overview: one card per saved printer, all fed by a single /ws connection
+class FleetOverview {
+    constructor() {
+        this.printers = [];
+        this.cards = new Map(); // printer id -> card elements
+        this.ws = null;
+        this.wsConnected = false;
+        this.wsReconnectTimer = null;
+
+        initializeTheme();
+        document.getElementById('refresh-interval').addEventListener('change', () => this.subscribeAll());
+        this.loadPrinters();
+    }
+
+    async loadPrinters() {
+        try {
+            this.printers = (await fetchJson('/printers')).printers;
+        } catch (error) {
+            showNotification(`Failed to load printers: ${error.message}`, 'error');
+            return;
+        }
+
+        const grid = document.getElementById('fleet-grid');
+        grid.innerHTML = '';
+        this.cards.clear();
+        document.getElementById('fleet-empty').style.display = this.printers.length ? 'none' : 'block';
+        for (const printer of this.printers) {
+            const card = this.createCard(printer);
+            this.cards.set(printer.id, card);
+            grid.appendChild(card.root);
+        }
+        this.startWebSocket();
+    }
+
+    createCard(printer) {
+        const root = document.createElement('div');
+        root.className = 'card fleet-card';
+        root.title = `Open ${printer.name}`;
+        root.innerHTML = `
+            <div class="card-header">
+                <h2></h2>
+                <span class="status-badge">Connecting</span>
+            </div>
+            <div class="card-content">
+                <div class="fleet-meta"></div>
+                <div class="fleet-file">No active job</div>
+                <div class="progress-bar"><div class="progress-fill"></div></div>
+                <div class="fleet-progress">
+                    <span class="fleet-percentage">0%</span>
+                    <span class="fleet-eta">ETA -</span>
+                </div>
+                <div class="fleet-temps">
+                    <span><i class="fas fa-thermometer-half"></i> <span class="fleet-nozzle">-</span></span>
+                    <span><i class="fas fa-square"></i> <span class="fleet-bed">-</span></span>
+                </div>
+                <div class="control-buttons">
+                    <button class="control-btn pause" data-command="pause" disabled><i class="fas fa-pause"></i> Pause</button>
+                    <button class="control-btn resume" data-command="resume" disabled><i class="fas fa-play"></i> Resume</button>
+                </div>
+            </div>
+        `;
+        root.querySelector('h2').textContent = printer.name;
+        root.querySelector('.fleet-meta').textContent = [printer.model, `${printer.host}:${printer.port}`, ...(printer.tags || [])]
+            .filter(Boolean)
+            .join(' · ');
+
+        root.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-command]');
+            if (button) {
+                this.sendCommand(printer, button.dataset.command);
+                return;
+            }
+            window.location.href = `/?printer=${encodeURIComponent(printer.id)}`;
+        });
+
+        return {
+            root,
+            badge: root.querySelector('.status-badge'),
+            file: root.querySelector('.fleet-file'),
+            fill: root.querySelector('.progress-fill'),
+            percentage: root.querySelector('.fleet-percentage'),
+            eta: root.querySelector('.fleet-eta'),
+            nozzle: root.querySelector('.fleet-nozzle'),
+            bed: root.querySelector('.fleet-bed'),
+            pause: root.querySelector('[data-command="pause"]'),
+            resume: root.querySelector('[data-command="resume"]'),
+        };
+    }
+
+    // --- WebSocket ---
+    startWebSocket() {
+        clearTimeout(this.wsReconnectTimer);
+        if (this.ws) this.ws.close();
+        const proto = window.location.protocol === 'https:' ? 'wss' : 'ws';
+        const ws = new WebSocket(`${proto}://${window.location.host}/ws`);
+        this.ws = ws;
+
+        ws.onopen = () => {
+            this.wsConnected = true;
+            this.updateConnectionStatus();
+            this.subscribeAll();
+        };
+
+        ws.onmessage = (event) => {
+            try {
+                const msg = JSON.parse(event.data);
+                if (msg.type === 'snapshot' && msg.data) {
+                    this.updateCard(msg.ip, msg.data);
+                } else if (msg.type === 'error' && msg.ip) {
+                    this.markOffline(msg.ip, msg.error);
+                } else if (msg.type === 'event') {
+                    const toast = describePrinterEvent(msg.event);
+                    if (toast) showNotification(`${msg.event.printer.name}: ${toast.message}`, toast.type);
+                }
+            } catch (e) {
+                console.warn('Invalid WS message', e);
+            }
+        };
+
+        ws.onclose = () => {
+            if (this.ws !== ws) return;
+            this.wsConnected = false;
+            this.updateConnectionStatus();
+            this.wsReconnectTimer = setTimeout(() => this.startWebSocket(), 5000);
+        };
+    }
+
+    subscribeAll() {
+        if (!this.wsConnected) return;
+        const intervalMs = parseInt(document.getElementById('refresh-interval').value, 10) || 5000;
+        for (const printer of this.printers) {
+            this.ws.send(JSON.stringify({ type: 'subscribe', ip: printer.id, intervalMs }));
+        }
+    }
+
+    updateConnectionStatus() {
+        const statusElement = document.getElementById('connection-status');
+        statusElement.className = `connection-status ${this.wsConnected ? 'connected' : 'disconnected'}`;
+        statusElement.innerHTML = this.wsConnected
+            ? `<i class="fas fa-circle"></i> Live · ${this.printers.length} printer${this.printers.length === 1 ? '' : 's'}`
+            : '<i class="fas fa-circle"></i> Disconnected, retrying...';
+    }
+
+    // --- Cards ---
+    classify(snapshot) {
+        if ((snapshot.errors || []).some(e => e.step === 'STATUS')) return { label: 'Offline', state: 'offline' };
+        const labels = { idle: 'Idle', heating: 'Heating', printing: 'Printing', paused: 'Paused', completed: 'Completed', error: 'Error' };
+        const state = snapshot.status?.State || 'unknown';
+        return { label: labels[state] || snapshot.status?.MachineStatus || 'Unknown', state };
+    }
+
+    updateCard(id, snapshot) {
+        const card = this.cards.get(id);
+        if (!card) return;
+        const { label, state } = this.classify(snapshot);
+        if (state === 'offline') {
+            this.markOffline(id, snapshot.errors.find(e => e.step === 'STATUS').error);
+            return;
+        }
+
+        card.root.classList.remove('offline');
+        this.setBadge(card, label, state);
+
+        const percentage = snapshot.progress?.PercentageCompleted || 0;
+        const active = state === 'printing' || state === 'paused' || state === 'heating';
+        const file = (snapshot.status?.CurrentFile || '').trim();
+        card.file.textContent = active && file ? file.split('/').pop() : 'No active job';
+        card.fill.style.width = `${active ? percentage : 0}%`;
+        card.percentage.textContent = `${active ? percentage : 0}%`;
+        const eta = snapshot.progress?.EstimatedCompletion;
+        card.eta.textContent = `ETA ${active && eta ? formatClockTime(eta) : '-'}`;
+
+        const t = snapshot.temperatures || {};
+        card.nozzle.textContent = this.formatTemp(t.Temperature, t.TargetTemperature);
+        card.bed.textContent = this.formatTemp(t.BedTemperature, t.BedTargetTemperature);
+
+        card.pause.disabled = state !== 'printing' && state !== 'heating';
+        card.resume.disabled = state !== 'paused';
+    }
+
+    markOffline(id, reason) {
+        const card = this.cards.get(id);
+        if (!card) return;
+        card.root.classList.add('offline');
+        this.setBadge(card, 'Offline', 'offline');
+        card.badge.title = reason || '';
+        card.pause.disabled = true;
+        card.resume.disabled = true;
+    }
+
+    setBadge(card, label, state) {
+        const classes = { idle: 'ready', completed: 'ready', heating: 'busy', printing: 'busy', paused: 'paused', error: 'error', offline: 'offline' };
+        card.badge.className = `status-badge ${classes[state] || ''}`;
+        card.badge.textContent = label;
+        card.badge.title = '';
+    }
+
+    formatTemp(current, target) {
+        if (current == null) return '-';
+        return Number(target) > 0 ? `${current} / ${target}°C` : `${current}°C`;
+    }
+
+    async sendCommand(printer, command) {
+        try {
+            await fetchJson(`/${encodeURIComponent(printer.id)}/${command}`, { method: 'POST' });
+            showNotification(`${printer.name}: ${command} sent`, 'success');
+            this.ws?.send(JSON.stringify({ type: 'snapshot', ip: printer.id }));
+        } catch (error) {
+            showNotification(`${printer.name}: ${command} failed: ${error.message}`, 'error');
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await ensureLoggedIn();
+    window.fleetOverview = new FleetOverview();
+});
@@ -0,0 +1,123 @@
+// Print history: finished jobs from GET /history plus the ones still running
+class PrintHistory {
+    constructor() {
+        this.form = document.getElementById('history-filters');
+        this.printers = [];
+        this.timelapses = new Set(); // job ids with a recorded timelapse
+
+        initializeTheme();
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.load();
+        });
+        this.loadPrinters().then(() => this.load());
+    }
+
+    async loadPrinters() {
+        try {
+            this.printers = (await fetchJson('/printers')).printers;
+        } catch (error) {
+            showNotification(`Failed to load printers: ${error.message}`, 'error');
+            return;
+        }
+        const select = this.form.elements.printer;
+        for (const printer of this.printers) {
+            const option = document.createElement('option');
+            option.value = printer.id;
+            option.textContent = printer.name;
+            select.appendChild(option);
+        }
+    }
+
+    filters() {
+        const params = new URLSearchParams();
+        for (const name of ['printer', 'from', 'to', 'outcome']) {
+            const value = this.form.elements[name].value;
+            if (value) params.set(name, value);
+        }
+        return params;
+    }
+
+    async load() {
+        const params = this.filters();
+        const csv = new URLSearchParams(params);
+        csv.set('format', 'csv');
+        document.getElementById('history-export').href = `/history?${csv}`;
+
+        try {
+            const data = await fetchJson(`/history?${params}`);
+            const printer = params.has('printer') ? `?printer=${encodeURIComponent(params.get('printer'))}` : '';
+            this.timelapses = new Set((await fetchJson(`/timelapses${printer}`)).timelapses.map((timelapse) => timelapse.jobId));
+            // Running jobs only make sense without an outcome or date filter
+            const active = params.has('outcome') || params.has('from') || params.has('to') ? [] : data.active;
+            this.render(active, data.jobs);
+        } catch (error) {
+            showNotification(`Failed to load history: ${error.message}`, 'error');
+        }
+    }
+
+    render(active, jobs) {
+        const rows = document.getElementById('history-rows');
+        rows.innerHTML = '';
+        for (const job of active) {
+            rows.appendChild(this.renderRow(job, job.pausedAt ? 'paused' : 'printing'));
+        }
+        for (const job of jobs) {
+            rows.appendChild(this.renderRow(job, job.outcome));
+        }
+        if (!active.length && !jobs.length) {
+            rows.innerHTML = '<tr><td colspan="8" class="history-empty">No jobs match these filters</td></tr>';
+        }
+
+        const completed = jobs.filter(job => job.outcome === 'completed').length;
+        const printSeconds = jobs.reduce((sum, job) => sum + job.durationSeconds - job.pausedSeconds, 0);
+        document.getElementById('history-summary').textContent =
+            `${jobs.length} job${jobs.length === 1 ? '' : 's'} · ${completed} completed · ${formatDuration(printSeconds)} printing`;
+    }
+
+    renderRow(job, outcome) {
+        const running = !job.endedAt;
+        const seconds = running
+            ? Math.round((Date.now() - Date.parse(job.startedAt)) / 1000)
+            : job.durationSeconds;
+        const cells = [
+            job.printerName,
+            job.file || '-',
+            new Date(job.startedAt).toLocaleString(),
+            formatDuration(seconds) + (job.pausedSeconds ? ` (${formatDuration(job.pausedSeconds)} paused)` : ''),
+            `${job.percentage}%`,
+            job.layerTotal ? `${job.layerCurrent ?? '-'} / ${job.layerTotal}` : '-',
+        ];
+
+        const row = document.createElement('tr');
+        for (const value of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        const badges = { completed: 'ready', printing: 'busy', paused: 'paused', cancelled: 'offline', failed: 'error' };
+        const cell = document.createElement('td');
+        const badge = document.createElement('span');
+        badge.className = `status-badge ${badges[outcome] || ''}`;
+        badge.textContent = outcome;
+        cell.appendChild(badge);
+        row.appendChild(cell);
+
+        const timelapseCell = document.createElement('td');
+        if (this.timelapses.has(job.id)) {
+            const link = document.createElement('a');
+            link.href = `/timelapses/${encodeURIComponent(job.id)}`;
+            link.innerHTML = '<i class="fas fa-film"></i> Play';
+            timelapseCell.appendChild(link);
+        } else {
+            timelapseCell.textContent = '-';
+        }
+        row.appendChild(timelapseCell);
+        return row;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await ensureLoggedIn();
+    window.printHistory = new PrintHistory();
+});
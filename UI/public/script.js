@@ -1,17 +1,41 @@
 class FlashForgeFinder {
     constructor() {
-        this.printerIP = '';
+        this.printerId = '';
+        this.printers = [];
+        this.editingPrinterId = null;
         this.isConnected = false;
         this.autoRefreshInterval = null;
         this.tempHistory = [];
-        this.maxTempHistory = 50;
+        this.maxTempHistory = 2500;
         this.cssVars = null;
         this.ws = null;
         this.wsConnected = false;
         this.wsReconnectTimer = null;
+        this.thumbnailFile = null;
+        this.tempLimits = null;
+        this.jogStep = 1;
+        this.consoleHistory = this.loadConsoleHistory();
+        this.consoleHistoryIndex = -1;
+        this.consoleSeq = 0;
+        this.maxConsoleHistory = 50;
+        this.tempPresets = {
+            pla: { label: 'PLA', extruder: 200, bed: 60 },
+            petg: { label: 'PETG', extruder: 235, bed: 80 },
+            cooldown: { label: 'Cool down', extruder: 0, bed: 0 },
+        };
         
         this.initializeEventListeners();
         this.initializeTheme();
+        this.openRequestedPrinter();
+    }
+
+    // The fleet page links here with ?printer=<id> to open that printer's dashboard
+    async openRequestedPrinter() {
+        const requested = new URLSearchParams(window.location.search).get('printer');
+        await this.loadPrinters(requested || localStorage.getItem('ff-printer'));
+        if (requested && this.selectedPrinter()?.id === requested) {
+            this.connectToPrinter();
+        }
     }
     getCssVar(name) {
         if (!this.cssVars) {
@@ -32,6 +56,24 @@ class FlashForgeFinder {
             this.connectToPrinter();
         });
 
+        // Network scan
+        document.getElementById('scan-btn')?.addEventListener('click', () => {
+            this.scanNetwork();
+        });
+
+        // Printer registry
+        document.getElementById('add-printer-btn')?.addEventListener('click', () => this.showPrinterForm());
+        document.getElementById('edit-printer-btn')?.addEventListener('click', () => {
+            const printer = this.selectedPrinter();
+            if (printer) this.showPrinterForm(printer);
+        });
+        document.getElementById('remove-printer-btn')?.addEventListener('click', () => this.removePrinter());
+        document.getElementById('printer-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePrinter();
+        });
+        document.getElementById('printer-form-cancel')?.addEventListener('click', () => this.hidePrinterForm());
+
         // Refresh buttons
         document.querySelectorAll('.refresh-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -56,13 +98,6 @@ class FlashForgeFinder {
             }
         });
 
-        // Enter key on IP input
-        document.getElementById('printer-ip').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.connectToPrinter();
-            }
-        });
-
         // Theme toggle
         const themeToggle = document.getElementById('theme-toggle');
         if (themeToggle) {
@@ -91,6 +126,74 @@ class FlashForgeFinder {
             }
         });
         document.getElementById('home-btn')?.addEventListener('click', () => this.sendControlCommand('home'));
+
+        // Temperature chart range (recorded on the server)
+        document.getElementById('temp-chart-range')?.addEventListener('change', () => this.loadTempHistory());
+
+        // File browser
+        document.getElementById('files-refresh-btn')?.addEventListener('click', () => this.loadFiles());
+        document.getElementById('camera-stream')?.addEventListener('error', () => this.showCameraUnavailable());
+        document.getElementById('camera-retry-btn')?.addEventListener('click', () => this.startCamera());
+
+        // Jog pad
+        document.querySelectorAll('.jog-step').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.querySelectorAll('.jog-step').forEach(b => b.classList.toggle('active', b === btn));
+                this.jogStep = parseFloat(btn.dataset.step);
+            });
+        });
+        document.querySelectorAll('.jog-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (btn.dataset.action === 'home') {
+                    this.sendControlCommand('home');
+                } else {
+                    this.jog(btn.dataset.axis, parseInt(btn.dataset.dir, 10), btn);
+                }
+            });
+        });
+
+        // G-code console
+        document.getElementById('console-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendConsoleCommand();
+        });
+        document.getElementById('console-input')?.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.browseConsoleHistory(e.key === 'ArrowUp' ? 1 : -1);
+            }
+        });
+        document.getElementById('console-clear-btn')?.addEventListener('click', () => {
+            document.getElementById('console-output').innerHTML = '';
+        });
+
+        // Temperature presets
+        document.querySelectorAll('.temp-presets [data-preset]').forEach(btn => {
+            btn.addEventListener('click', () => this.applyTempPreset(btn.dataset.preset, btn));
+        });
+
+        // Upload drop zone
+        const dropzone = document.getElementById('upload-dropzone');
+        const uploadInput = document.getElementById('upload-input');
+        if (dropzone && uploadInput) {
+            ['dragenter', 'dragover'].forEach(type => dropzone.addEventListener(type, (e) => {
+                e.preventDefault();
+                dropzone.classList.add('dragover');
+            }));
+            ['dragleave', 'drop'].forEach(type => dropzone.addEventListener(type, (e) => {
+                e.preventDefault();
+                dropzone.classList.remove('dragover');
+            }));
+            dropzone.addEventListener('drop', (e) => {
+                const file = e.dataTransfer.files[0];
+                if (file) this.uploadFile(file);
+            });
+            uploadInput.addEventListener('change', () => {
+                const file = uploadInput.files[0];
+                if (file) this.uploadFile(file);
+                uploadInput.value = '';
+            });
+        }
     }
 
     // Theme handling
@@ -173,6 +276,15 @@ class FlashForgeFinder {
                     if (msg.type === 'snapshot' && msg.data) {
                         // Apply snapshot to UI
                         this.applySnapshot(msg.data);
+                    } else if (msg.type === 'commandOutput') {
+                        this.appendConsole(msg.chunk, 'reply');
+                    } else if (msg.type === 'commandResult') {
+                        if (msg.error) this.appendConsole(`! ${msg.error}\n`, 'error');
+                    } else if (msg.type === 'upload') {
+                        this.updateUploadProgress(msg);
+                    } else if (msg.type === 'event' && msg.ip === this.printerId) {
+                        const toast = describePrinterEvent(msg.event);
+                        if (toast) this.showNotification(toast.message, toast.type);
                     } else if (msg.type === 'error') {
                         console.warn('WS error:', msg.error);
                     }
@@ -225,23 +337,25 @@ class FlashForgeFinder {
     }
 
     async connectToPrinter() {
-        const ipInput = document.getElementById('printer-ip');
         const connectBtn = document.getElementById('connect-btn');
         const loadingOverlay = document.getElementById('loading-overlay');
-        
-        this.printerIP = ipInput.value.trim();
-        
-        if (!this.printerIP) {
-            this.showNotification('Please enter a printer IP address', 'error');
+        const printer = this.selectedPrinter();
+
+        if (!printer) {
+            this.showNotification('Please add or select a printer first', 'error');
             return;
         }
 
-        // Validate IP format (basic)
-        const ipRegex = /^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$/;
-        if (!ipRegex.test(this.printerIP)) {
-            this.showNotification('Please enter a valid IP address', 'error');
-            return;
+        // Switching printers: stop streaming the previous one
+        this.stopWebSocket();
+        this.stopAutoRefresh();
+        this.stopCamera();
+        if (this.printerId !== printer.id) {
+            this.tempHistory = [];
+            this.thumbnailFile = null;
         }
+        this.printerId = printer.id;
+        localStorage.setItem('ff-printer', printer.id);
 
         loadingOverlay.style.display = 'flex';
         connectBtn.disabled = true;
@@ -249,7 +363,7 @@ class FlashForgeFinder {
 
         try {
             // Test connection by getting printer info (HTTP)
-            const response = await fetch(`/${this.printerIP}/info`);
+            const response = await fetch(`/${this.printerId}/info`);
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
@@ -264,8 +378,11 @@ class FlashForgeFinder {
             this.updateConnectionStatus();
             this.showDashboard();
             this.loadAllData();
+            this.loadTempHistory();
+            this.loadFiles();
+            this.loadTempLimits();
             // Start WebSocket live updates
-            this.startWebSocket(this.printerIP);
+            this.startWebSocket(this.printerId);
             this.showNotification('Successfully connected to printer!', 'success');
 
         } catch (error) {
@@ -280,13 +397,195 @@ class FlashForgeFinder {
         }
     }
 
+    async scanNetwork() {
+        const scanBtn = document.getElementById('scan-btn');
+        const results = document.getElementById('discovery-results');
+        const list = document.getElementById('discovery-list');
+
+        scanBtn.disabled = true;
+        scanBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Scanning...';
+
+        try {
+            const response = await fetch('/discover');
+            const data = await response.json();
+            if (!response.ok || data.error) throw new Error(data.error || `HTTP ${response.status}`);
+
+            list.innerHTML = '';
+            results.style.display = 'block';
+            if (!data.printers.length) {
+                list.innerHTML = '<li class="printer-meta">No printers answered the scan</li>';
+                return;
+            }
+            for (const printer of data.printers) {
+                const item = document.createElement('li');
+                const name = document.createElement('strong');
+                name.textContent = printer.info?.Name || printer.name || printer.ip;
+                const meta = document.createElement('span');
+                meta.className = 'printer-meta';
+                meta.textContent = [printer.info?.Type, printer.serialNumber || printer.info?.SN, printer.ip]
+                    .filter(Boolean)
+                    .join(' · ');
+                item.append(name, meta);
+                item.title = `Save and connect to ${printer.ip}`;
+                item.addEventListener('click', async () => {
+                    results.style.display = 'none';
+                    if (await this.registerDiscoveredPrinter(printer)) this.connectToPrinter();
+                });
+                list.appendChild(item);
+            }
+        } catch (error) {
+            console.error('Network scan failed:', error);
+            this.showNotification(`Network scan failed: ${error.message}`, 'error');
+        } finally {
+            scanBtn.disabled = false;
+            scanBtn.innerHTML = '<i class="fas fa-satellite-dish"></i> Scan network';
+        }
+    }
+
+    // Registry backed printer picker
+    async loadPrinters(selectId) {
+        try {
+            const response = await fetch('/printers');
+            const data = await response.json();
+            if (!response.ok || data.error) throw new Error(data.error || `HTTP ${response.status}`);
+            this.printers = data.printers;
+        } catch (error) {
+            console.error('Failed to load printers:', error);
+            this.showNotification(`Failed to load printers: ${error.message}`, 'error');
+            return;
+        }
+
+        const select = document.getElementById('printer-select');
+        select.innerHTML = '';
+        if (!this.printers.length) {
+            select.innerHTML = '<option value="">No printers saved yet</option>';
+        }
+        for (const printer of this.printers) {
+            const option = document.createElement('option');
+            option.value = printer.id;
+            option.textContent = `${printer.name} — ${printer.host}${printer.port !== 8899 ? `:${printer.port}` : ''}`;
+            select.appendChild(option);
+        }
+        if (selectId && this.printers.some(p => p.id === selectId)) {
+            select.value = selectId;
+        }
+    }
+
+    selectedPrinter() {
+        const id = document.getElementById('printer-select').value;
+        return this.printers.find(p => p.id === id) || null;
+    }
+
+    showPrinterForm(printer = null) {
+        const form = document.getElementById('printer-form');
+        this.editingPrinterId = printer ? printer.id : null;
+        document.getElementById('printer-form-title').textContent = printer ? `Edit ${printer.name}` : 'Add printer';
+        form.elements.name.value = printer?.name || '';
+        form.elements.host.value = printer?.host || '';
+        form.elements.port.value = printer?.port || '';
+        form.elements.model.value = printer?.model || '';
+        form.elements.tags.value = (printer?.tags || []).join(', ');
+        form.elements.notes.value = printer?.notes || '';
+        form.elements.serialNumber.value = printer?.serialNumber || '';
+        // The server never sends a saved check code back, a blank field keeps it
+        form.elements.checkCode.value = '';
+        form.elements.checkCode.placeholder = printer?.hasCheckCode ? 'Saved, leave blank to keep' : '12345678';
+        form.style.display = 'block';
+        form.elements.name.focus();
+    }
+
+    hidePrinterForm() {
+        document.getElementById('printer-form').style.display = 'none';
+        this.editingPrinterId = null;
+    }
+
+    async savePrinter() {
+        const form = document.getElementById('printer-form');
+        const editing = this.editingPrinterId;
+        const body = {
+            name: form.elements.name.value,
+            host: form.elements.host.value,
+            model: form.elements.model.value,
+            tags: form.elements.tags.value,
+            notes: form.elements.notes.value,
+            serialNumber: form.elements.serialNumber.value,
+        };
+        if (form.elements.checkCode.value || !editing) body.checkCode = form.elements.checkCode.value;
+        if (form.elements.port.value) body.port = Number(form.elements.port.value);
+
+        try {
+            const response = await fetch(editing ? `/printers/${encodeURIComponent(editing)}` : '/printers', {
+                method: editing ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            const data = await response.json();
+            if (!response.ok || data.error) throw new Error(data.error || `HTTP ${response.status}`);
+            this.hidePrinterForm();
+            await this.loadPrinters(data.id);
+            this.showNotification(`${data.name} saved`, 'success');
+        } catch (error) {
+            this.showNotification(`Failed to save printer: ${error.message}`, 'error');
+        }
+    }
+
+    async removePrinter() {
+        const printer = this.selectedPrinter();
+        if (!printer || !confirm(`Remove ${printer.name} from the saved printers?`)) return;
+        try {
+            const response = await fetch(`/printers/${encodeURIComponent(printer.id)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            if (localStorage.getItem('ff-printer') === printer.id) localStorage.removeItem('ff-printer');
+            await this.loadPrinters();
+            this.showNotification(`${printer.name} removed`, 'success');
+        } catch (error) {
+            this.showNotification(`Failed to remove printer: ${error.message}`, 'error');
+        }
+    }
+
+    // Reuse the saved entry for a discovered printer or save a new one
+    async registerDiscoveredPrinter(found) {
+        const existing = this.printers.find(p => p.host === found.ip);
+        if (existing) {
+            document.getElementById('printer-select').value = existing.id;
+            return true;
+        }
+        try {
+            const response = await fetch('/printers', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: found.info?.Name || found.name || found.ip,
+                    host: found.ip,
+                    model: found.info?.Type || '',
+                }),
+            });
+            const data = await response.json();
+            if (!response.ok || data.error) throw new Error(data.error || `HTTP ${response.status}`);
+            await this.loadPrinters(data.id);
+            return true;
+        } catch (error) {
+            this.showNotification(`Failed to save printer: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
     updateConnectionStatus() {
         const statusElement = document.getElementById('connection-status');
         
         if (this.isConnected) {
             statusElement.className = 'connection-status connected';
             const mode = this.wsConnected ? 'Live' : 'Polling';
-            statusElement.innerHTML = `<i class="fas fa-circle"></i> Connected to ${this.printerIP} <span style="font-weight:600;color:#6b7280;">(${mode})</span>`;
+            const printer = this.printers.find(p => p.id === this.printerId);
+            const label = printer ? `${printer.name} (${printer.host})` : this.printerId;
+            // The printer name is user input, so it only ever goes in as text
+            statusElement.innerHTML = '<i class="fas fa-circle"></i> <span></span> <span style="font-weight:600;color:#6b7280;"></span>';
+            const [text, modeText] = statusElement.querySelectorAll('span');
+            text.textContent = `Connected to ${label}`;
+            modeText.textContent = `(${mode})`;
         } else {
             statusElement.className = 'connection-status disconnected';
             statusElement.innerHTML = '<i class="fas fa-circle"></i> Disconnected';
@@ -315,7 +614,7 @@ class FlashForgeFinder {
 
         // If WebSocket is live, request a one-off snapshot and rely on onmessage to update UI
         if (this.wsConnected) {
-            this.wsSend({ type: 'snapshot', ip: this.printerIP });
+            this.wsSend({ type: 'snapshot', ip: this.printerId });
             // revert icon shortly, UI will update on snapshot
             setTimeout(() => { if (btn) btn.innerHTML = '<i class="fas fa-refresh"></i>'; }, 500);
             return;
@@ -323,7 +622,7 @@ class FlashForgeFinder {
 
         // Fallback to HTTP
         try {
-            const response = await fetch(`/${this.printerIP}/${endpoint}`);
+            const response = await fetch(`/${this.printerId}/${endpoint}`);
             if (!response.ok) throw new Error(`HTTP ${response.status}`);
             const data = await response.json();
             if (data.error) throw new Error(data.error);
@@ -393,13 +692,45 @@ class FlashForgeFinder {
             target: targetTemp
         });
         
-        if (this.tempHistory.length > this.maxTempHistory) {
+        // The 24 h view rolls, the current print view keeps growing
+        const range = document.getElementById('temp-chart-range')?.value;
+        const cutoff = range === '24h' ? Date.now() - 24 * 60 * 60 * 1000 : 0;
+        while (this.tempHistory.length && (this.tempHistory.length > this.maxTempHistory || this.tempHistory[0].time < cutoff)) {
             this.tempHistory.shift();
         }
         
         this.updateTempChart();
     }
 
+    // Seed the chart with what the server recorded: the running print, or the last 24 h
+    async loadTempHistory() {
+        const range = document.getElementById('temp-chart-range')?.value || '24h';
+        const params = new URLSearchParams();
+        try {
+            if (range === 'job') {
+                const response = await fetch(`/history?printer=${encodeURIComponent(this.printerId)}`);
+                const history = await response.json();
+                const job = history.active?.[0];
+                // Nothing printing: show the last hour instead
+                params.set('from', job ? job.startedAt : new Date(Date.now() - 60 * 60 * 1000).toISOString());
+            }
+            const response = await fetch(`/${this.printerId}/metrics?${params}`);
+            const data = await response.json();
+            if (!response.ok || data.error) throw new Error(data.error || `HTTP ${response.status}`);
+
+            this.tempHistory = data.points
+                .filter(point => point.Temperature != null)
+                .map(point => ({
+                    time: new Date(point.time),
+                    current: point.Temperature,
+                    target: point.TargetTemperature || 0,
+                }));
+            this.updateTempChart();
+        } catch (error) {
+            console.warn('Could not load recorded temperatures:', error);
+        }
+    }
+
     updateTempChart() {
         const canvas = document.getElementById('temp-chart');
         const ctx = canvas.getContext('2d');
@@ -417,7 +748,10 @@ class FlashForgeFinder {
         const maxTemp = Math.max(...allTemps) + 5;
         
         const scaleY = (temp) => height - ((temp - minTemp) / (maxTemp - minTemp)) * height;
-        const scaleX = (index) => (index / (this.tempHistory.length - 1)) * width;
+        // Spread points by time, recorded history and live samples arrive at different rates
+        const start = this.tempHistory[0].time.getTime();
+        const span = (this.tempHistory[this.tempHistory.length - 1].time.getTime() - start) || 1;
+        const scaleX = (point) => ((point.time.getTime() - start) / span) * width;
         
         // Resolve theme-aware colors
         const currentColor = this.getCssVar('--primary') || '#3b82f6';
@@ -428,7 +762,7 @@ class FlashForgeFinder {
         ctx.strokeStyle = currentColor;
         ctx.lineWidth = 2;
         this.tempHistory.forEach((point, index) => {
-            const x = scaleX(index);
+            const x = scaleX(point);
             const y = scaleY(point.current);
             if (index === 0) {
                 ctx.moveTo(x, y);
@@ -444,7 +778,7 @@ class FlashForgeFinder {
         ctx.lineWidth = 2;
         ctx.setLineDash([5, 5]);
         this.tempHistory.forEach((point, index) => {
-            const x = scaleX(index);
+            const x = scaleX(point);
             const y = scaleY(point.target);
             if (index === 0) {
                 ctx.moveTo(x, y);
@@ -456,6 +790,175 @@ class FlashForgeFinder {
         ctx.setLineDash([]);
     }
 
+    async jog(axis, direction, btn) {
+        if (!this.isConnected) {
+            this.showNotification('Please connect to a printer first', 'error');
+            return;
+        }
+        btn.disabled = true;
+        try {
+            const response = await fetch(`/${this.printerId}/move`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ mode: 'relative', [axis]: direction * this.jogStep })
+            });
+            const data = await response.json();
+            if (!response.ok || data.error) throw new Error(data.error || `HTTP ${response.status}`);
+            this.refreshData('head-location');
+        } catch (error) {
+            console.error('Jog failed:', error);
+            this.showNotification(`Move failed: ${error.message}`, 'error');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    // --- G-code console ---
+    loadConsoleHistory() {
+        try {
+            return JSON.parse(localStorage.getItem('ff-console-history')) || [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    saveConsoleHistory() {
+        try {
+            localStorage.setItem('ff-console-history', JSON.stringify(this.consoleHistory));
+        } catch (_) { /* ignore */ }
+    }
+
+    browseConsoleHistory(step) {
+        if (!this.consoleHistory.length) return;
+        const input = document.getElementById('console-input');
+        this.consoleHistoryIndex = Math.max(-1, Math.min(this.consoleHistory.length - 1, this.consoleHistoryIndex + step));
+        input.value = this.consoleHistoryIndex === -1 ? '' : this.consoleHistory[this.consoleHistoryIndex];
+    }
+
+    appendConsole(text, kind = 'reply') {
+        const output = document.getElementById('console-output');
+        if (!output) return;
+        const line = document.createElement('span');
+        line.className = `console-${kind}`;
+        line.textContent = text.replace(/\r/g, '');
+        output.appendChild(line);
+        // Keep the DOM small during long sessions
+        while (output.childNodes.length > 500) {
+            output.removeChild(output.firstChild);
+        }
+        output.scrollTop = output.scrollHeight;
+    }
+
+    async sendConsoleCommand() {
+        const input = document.getElementById('console-input');
+        const command = input.value.trim();
+        if (!command) return;
+        if (!this.isConnected) {
+            this.showNotification('Please connect to a printer first', 'error');
+            return;
+        }
+
+        this.consoleHistory = [command, ...this.consoleHistory.filter(c => c !== command)].slice(0, this.maxConsoleHistory);
+        this.consoleHistoryIndex = -1;
+        this.saveConsoleHistory();
+        input.value = '';
+        this.appendConsole(`> ${command}\n`, 'sent');
+
+        // Over the WebSocket the reply streams in via commandOutput messages
+        if (this.wsConnected) {
+            this.wsSend({ type: 'command', ip: this.printerId, id: ++this.consoleSeq, command });
+            return;
+        }
+
+        try {
+            const response = await fetch(`/${this.printerId}/gcode`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ command })
+            });
+            const data = await response.json();
+            if (data.response) this.appendConsole(data.response, 'reply');
+            if (!response.ok || data.error) throw new Error(data.error || `HTTP ${response.status}`);
+        } catch (error) {
+            this.appendConsole(`! ${error.message}\n`, 'error');
+        }
+    }
+
+    async loadTempLimits() {
+        try {
+            const response = await fetch(`/${this.printerId}/temp/limits`);
+            const data = await response.json();
+            if (!response.ok || data.error) throw new Error(data.error || `HTTP ${response.status}`);
+            this.tempLimits = data;
+        } catch (error) {
+            console.warn('Could not load temperature limits:', error);
+            this.tempLimits = null;
+        }
+        // The model tells whether there is a camera to show
+        this.startCamera();
+    }
+
+    startCamera() {
+        const card = document.getElementById('camera-card');
+        const image = document.getElementById('camera-stream');
+        if (!this.tempLimits || !this.tempLimits.camera) {
+            this.stopCamera();
+            return;
+        }
+        card.style.display = '';
+        image.style.display = '';
+        document.getElementById('camera-unavailable').style.display = 'none';
+        document.getElementById('camera-snapshot').href = `/${this.printerId}/camera/snapshot.jpg`;
+        // A fresh URL so the browser doesn't show a cached frame
+        image.src = `/${this.printerId}/camera/stream?t=${Date.now()}`;
+    }
+
+    // Dropping the src closes the stream, the server then lets go of the printer's camera
+    stopCamera() {
+        const image = document.getElementById('camera-stream');
+        image.removeAttribute('src');
+        document.getElementById('camera-card').style.display = 'none';
+    }
+
+    showCameraUnavailable() {
+        const image = document.getElementById('camera-stream');
+        if (!image.getAttribute('src')) return;
+        image.removeAttribute('src');
+        image.style.display = 'none';
+        document.getElementById('camera-unavailable').style.display = 'flex';
+    }
+
+    async applyTempPreset(name, btn) {
+        const preset = this.tempPresets[name];
+        if (!preset || !this.isConnected) return;
+
+        const body = { extruder: preset.extruder };
+        // Printers without a heated bed reject bed targets
+        if (!this.tempLimits || this.tempLimits.heatedBed) body.bed = preset.bed;
+
+        const originalContent = btn.innerHTML;
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+        try {
+            const response = await fetch(`/${this.printerId}/temp`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            if (!response.ok || data.error) throw new Error(data.error || `HTTP ${response.status}`);
+            const bedText = data.targets.bed != null ? `, bed ${data.targets.bed}°C` : '';
+            this.showNotification(`${preset.label}: nozzle ${data.targets.extruder}°C${bedText}`, 'success');
+            setTimeout(() => this.refreshData('temp'), 500);
+        } catch (error) {
+            console.error('Setting temperature failed:', error);
+            this.showNotification(`Failed to set temperature: ${error.message}`, 'error');
+        } finally {
+            btn.disabled = false;
+            btn.innerHTML = originalContent;
+        }
+    }
+
     updateHeadPosition(data) {
         document.getElementById('pos-x').textContent = parseFloat(data.X || 0).toFixed(2);
         document.getElementById('pos-y').textContent = parseFloat(data.Y || 0).toFixed(2);
@@ -476,31 +979,51 @@ class FlashForgeFinder {
             const lt = data.LayerTotal;
             layersEl.textContent = (lc != null && lt != null) ? `${lc} / ${lt}` : '- / -';
         }
+        document.getElementById('progress-elapsed').textContent = data.ElapsedSeconds != null ? formatDuration(data.ElapsedSeconds) : '-';
+        document.getElementById('progress-remaining').textContent = data.RemainingSeconds != null ? formatDuration(data.RemainingSeconds) : '-';
+        document.getElementById('progress-eta').textContent = data.EstimatedCompletion ? formatClockTime(data.EstimatedCompletion) : '-';
     }
 
     updateStatus(data) {
         const statusValue = document.getElementById('printer-status-value');
-        const status = data.Status || '-';
+        const state = data.State || 'unknown';
         
-        statusValue.textContent = status;
+        statusValue.textContent = state.charAt(0).toUpperCase() + state.slice(1);
         
-        // Update status badge color based on status
+        // Update status badge color based on the normalized machine state
+        const badges = { idle: 'ready', completed: 'ready', heating: 'busy', printing: 'busy', paused: 'paused', error: 'error' };
         statusValue.className = 'value status-badge';
-        if (status.toLowerCase().includes('ready')) {
-            statusValue.classList.add('ready');
-        } else if (status.toLowerCase().includes('busy') || status.toLowerCase().includes('printing')) {
-            statusValue.classList.add('busy');
-        } else if (status.toLowerCase().includes('error')) {
-            statusValue.classList.add('error');
-        }
+        if (badges[state]) statusValue.classList.add(badges[state]);
         
         document.getElementById('machine-status').textContent = data.MachineStatus || '-';
         document.getElementById('move-mode').textContent = data.MoveMode || '-';
-        document.getElementById('endstop-status').textContent = data.Endstop || '-';
+        const endstops = Object.entries(data.Endstop || {});
+        document.getElementById('endstop-status').textContent = endstops.length
+            ? endstops.map(([name, triggered]) => `${name}: ${triggered ? 'on' : 'off'}`).join('  ')
+            : '-';
         const fileEl = document.getElementById('current-file');
         if (fileEl) fileEl.textContent = data.CurrentFile || '-';
+        this.updateCurrentFileThumbnail(data.CurrentFile);
         const ledEl = document.getElementById('led-state');
-        if (ledEl) ledEl.textContent = (data.LED != null ? String(data.LED) : '-')
+        if (ledEl) ledEl.textContent = data.LED == null ? '-' : data.LED ? 'On' : 'Off';
+    }
+
+    updateCurrentFileThumbnail(currentFile) {
+        const img = document.getElementById('current-file-thumb');
+        if (!img) return;
+        // M119 may report a full path, thumbnails are looked up by file name
+        const name = (currentFile || '').trim().split('/').pop();
+        if (name === this.thumbnailFile) return;
+        this.thumbnailFile = name;
+
+        if (!name) {
+            img.style.display = 'none';
+            img.removeAttribute('src');
+            return;
+        }
+        img.onload = () => { img.style.display = 'inline-block'; };
+        img.onerror = () => { img.style.display = 'none'; };
+        img.src = `/${this.printerId}/files/${encodeURIComponent(name)}/thumbnail`;
     }
 
     startAutoRefresh() {
@@ -508,7 +1031,7 @@ class FlashForgeFinder {
 
         // If WebSocket is connected, adjust subscription interval instead of HTTP polling
         if (this.wsConnected) {
-            this.wsSend({ type: 'subscribe', ip: this.printerIP, intervalMs: interval });
+            this.wsSend({ type: 'subscribe', ip: this.printerId, intervalMs: interval });
             return;
         }
 
@@ -552,7 +1075,7 @@ class FlashForgeFinder {
         }
 
         try {
-            const response = await fetch(`/${this.printerIP}/${command}`, {
+            const response = await fetch(`/${this.printerId}/${command}`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(body)
@@ -587,14 +1110,155 @@ class FlashForgeFinder {
         }
     }
 
+    async loadFiles() {
+        if (!this.isConnected) return;
+        const btn = document.getElementById('files-refresh-btn');
+        if (btn) btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+        try {
+            const response = await fetch(`/${this.printerId}/files`);
+            const data = await response.json();
+            if (!response.ok || data.error) throw new Error(data.error || `HTTP ${response.status}`);
+            this.renderFiles(data.files);
+        } catch (error) {
+            console.error('Error loading files:', error);
+            this.showNotification(`Failed to load files: ${error.message}`, 'error');
+        } finally {
+            if (btn) btn.innerHTML = '<i class="fas fa-refresh"></i>';
+        }
+    }
+
+    renderFiles(files) {
+        const list = document.getElementById('file-list');
+        if (!list) return;
+        list.innerHTML = '';
+        if (!files.length) {
+            list.innerHTML = '<li class="file-list-empty">No files on the printer</li>';
+            return;
+        }
+        for (const file of files) {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.className = 'file-name';
+            name.textContent = file.name;
+            name.title = file.path;
+
+            const actions = document.createElement('div');
+            actions.className = 'file-actions';
+            const printBtn = document.createElement('button');
+            printBtn.className = 'control-btn resume';
+            printBtn.title = 'Print this file';
+            printBtn.innerHTML = '<i class="fas fa-play"></i>';
+            printBtn.addEventListener('click', () => this.printStoredFile(file.name));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'control-btn cancel';
+            deleteBtn.title = 'Delete this file';
+            deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+            deleteBtn.addEventListener('click', () => this.deleteStoredFile(file.name));
+            actions.append(printBtn, deleteBtn);
+
+            item.append(name, actions);
+            list.appendChild(item);
+        }
+    }
+
+    async printStoredFile(name) {
+        if (!confirm(`Start printing ${name}?`)) return;
+        try {
+            const response = await fetch(`/${this.printerId}/files/${encodeURIComponent(name)}/print`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok || data.error) throw new Error(data.error || `HTTP ${response.status}`);
+            this.showNotification(`Printing ${name}`, 'success');
+            setTimeout(() => this.refreshData('status'), 500);
+        } catch (error) {
+            console.error('Print file failed:', error);
+            this.showNotification(`Failed to print ${name}: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteStoredFile(name) {
+        if (!confirm(`Delete ${name} from the printer?`)) return;
+        try {
+            const response = await fetch(`/${this.printerId}/files/${encodeURIComponent(name)}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok || data.error) throw new Error(data.error || `HTTP ${response.status}`);
+            this.showNotification(`Deleted ${name}`, 'success');
+            this.loadFiles();
+        } catch (error) {
+            console.error('Delete file failed:', error);
+            this.showNotification(`Failed to delete ${name}: ${error.message}`, 'error');
+        }
+    }
+
+    async uploadFile(file) {
+        if (!this.isConnected) {
+            this.showNotification('Please connect to a printer first', 'error');
+            return;
+        }
+        if (!/\.(gx|gcode|g)$/i.test(file.name)) {
+            this.showNotification('Only .gx and .gcode files can be uploaded', 'error');
+            return;
+        }
+
+        const dropzone = document.getElementById('upload-dropzone');
+        const startPrint = document.getElementById('upload-start-print').checked;
+        const form = new FormData();
+        form.append('file', file);
+        form.append('print', String(startPrint));
+
+        dropzone.classList.add('busy');
+        this.updateUploadProgress({ fileName: file.name, stage: 'started', percentage: 0 });
+
+        try {
+            // Progress from server to printer arrives over the WebSocket
+            const response = await fetch(`/${this.printerId}/upload`, { method: 'POST', body: form });
+            const data = await response.json();
+            if (!response.ok || data.error) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            this.updateUploadProgress({ fileName: data.fileName, stage: 'complete', percentage: 100 });
+            this.showNotification(data.printing ? `Uploaded ${data.fileName}, printing started` : `Uploaded ${data.fileName}`, 'success');
+            if (data.printing) setTimeout(() => this.refreshData('status'), 500);
+            this.loadFiles();
+        } catch (error) {
+            console.error('Upload failed:', error);
+            this.updateUploadProgress({ fileName: file.name, stage: 'failed', error: error.message });
+            this.showNotification(`Upload failed: ${error.message}`, 'error');
+        } finally {
+            dropzone.classList.remove('busy');
+        }
+    }
+
+    updateUploadProgress(msg) {
+        const container = document.getElementById('upload-progress');
+        if (!container) return;
+        container.style.display = 'block';
+        document.getElementById('upload-file-name').textContent = msg.fileName || '-';
+
+        const text = document.getElementById('upload-progress-text');
+        if (msg.stage === 'failed') {
+            text.textContent = 'Failed';
+            return;
+        }
+        const percentage = msg.percentage || 0;
+        document.getElementById('upload-progress-fill').style.width = `${percentage}%`;
+        if (msg.stage === 'complete') {
+            text.textContent = 'Done';
+        } else if (msg.bytesTotal) {
+            text.textContent = `${percentage}% (${this.formatBytes(msg.bytesSent || 0)} / ${this.formatBytes(msg.bytesTotal)})`;
+        } else {
+            text.textContent = `${percentage}%`;
+        }
+    }
+
     showNotification(message, type = 'info') {
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
-        notification.innerHTML = `
-            <i class="fas ${this.getNotificationIcon(type)}"></i>
-            <span>${message}</span>
-        `;
+        notification.innerHTML = `<i class="fas ${this.getNotificationIcon(type)}"></i>`;
+        // Messages carry file and printer names, which must not turn into markup
+        const text = document.createElement('span');
+        text.textContent = message;
+        notification.appendChild(text);
         
         // Style the notification
         Object.assign(notification.style, {
@@ -656,7 +1320,8 @@ class FlashForgeFinder {
 }
 
 // Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    await ensureLoggedIn();
     window.flashForgeFinder = new FlashForgeFinder();
     // Clean up WS on unload
     window.addEventListener('beforeunload', () => {
@@ -0,0 +1,80 @@
+// Flipbook player for one recorded timelapse, served at /timelapses/<jobId>
+class TimelapsePlayer {
+    constructor() {
+        this.jobId = decodeURIComponent(window.location.pathname.split('/').filter(Boolean).pop());
+        this.frames = [];
+        this.index = 0;
+        this.timer = null;
+        this.image = document.getElementById('timelapse-frame');
+        this.seek = document.getElementById('timelapse-seek');
+        this.playButton = document.getElementById('timelapse-play');
+        this.fps = document.getElementById('timelapse-fps');
+
+        initializeTheme();
+        this.playButton.addEventListener('click', () => (this.timer ? this.pause() : this.play()));
+        this.seek.addEventListener('input', () => {
+            this.pause();
+            this.show(Number(this.seek.value) - 1);
+        });
+        this.fps.addEventListener('change', () => {
+            if (this.timer) this.play();
+        });
+        this.load();
+    }
+
+    async load() {
+        try {
+            const timelapse = await fetchJson(`/timelapses/${encodeURIComponent(this.jobId)}`, { headers: { Accept: 'application/json' } });
+            const started = new Date(timelapse.startedAt).toLocaleString();
+            const outcome = timelapse.finishedAt ? timelapse.outcome || 'finished' : 'still recording';
+            document.getElementById('timelapse-title').textContent =
+                `${timelapse.file || 'Unknown file'} on ${timelapse.printerName} · ${started} · ${outcome}`;
+            document.getElementById('timelapse-download').href = `/timelapses/${encodeURIComponent(this.jobId)}?format=zip`;
+            // Preloaded, so playback doesn't stall on the network
+            this.frames = Array.from({ length: timelapse.frames }, (_, i) => {
+                const image = new Image();
+                image.src = `/timelapses/${encodeURIComponent(this.jobId)}/frames/${i + 1}.jpg`;
+                return image;
+            });
+            this.seek.max = String(Math.max(1, this.frames.length));
+            this.show(0);
+        } catch (error) {
+            document.getElementById('timelapse-title').textContent = 'Timelapse not available';
+            showNotification(`Failed to load timelapse: ${error.message}`, 'error');
+        }
+    }
+
+    show(index) {
+        if (!this.frames.length) return;
+        this.index = index;
+        this.image.src = this.frames[index].src;
+        this.seek.value = String(index + 1);
+        document.getElementById('timelapse-frame-label').textContent = `Frame ${index + 1} / ${this.frames.length}`;
+    }
+
+    play() {
+        clearInterval(this.timer);
+        if (!this.frames.length) return;
+        // Start over when the last frame is showing
+        if (this.index >= this.frames.length - 1) this.show(0);
+        this.timer = setInterval(() => {
+            if (this.index >= this.frames.length - 1) {
+                this.pause();
+                return;
+            }
+            this.show(this.index + 1);
+        }, 1000 / Number(this.fps.value));
+        this.playButton.innerHTML = '<i class="fas fa-pause"></i>';
+    }
+
+    pause() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.playButton.innerHTML = '<i class="fas fa-play"></i>';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await ensureLoggedIn();
+    window.timelapsePlayer = new TimelapsePlayer();
+});
@@ -1,13 +1,47 @@
 const express = require('express');
 const cors = require('cors');
-const net = require('net');
 const path = require('path');
 const http = require('http');
+const os = require('os');
+const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const multer = require('multer');
 const { WebSocketServer } = require('ws');
+const { PROTOCOL_MESSAGES } = require('./src/protocol');
+const { getSession, closeAllSessions } = require('./src/printer-session');
+const { sanitizeFileName, uploadFile } = require('./src/file-transfer');
+const { discoverPrinters } = require('./src/discovery');
+const { resolveModel } = require('./src/printer-models');
+const { buildTemperatureCommands } = require('./src/temperature-control');
+const { assertIdle, buildMoveCommands } = require('./src/motion-control');
+const { runConsoleCommand } = require('./src/gcode-console');
+const { config } = require('./src/config');
+const { PrinterRegistry, publicPrinter } = require('./src/printer-registry');
+const { listFiles, printFile, deleteFile, getThumbnail } = require('./src/printer-files');
+const { JobTracker } = require('./src/job-tracker');
+const { JobHistory, toCsv } = require('./src/job-history');
+const { TelemetryStore } = require('./src/telemetry-store');
+const { PrometheusExporter } = require('./src/prometheus-exporter');
+const { MqttBridge } = require('./src/mqtt-bridge');
+const { SnapshotDiffer } = require('./src/printer-events');
+const { WebhookDispatcher } = require('./src/webhooks');
+const { ProgressEstimator } = require('./src/progress-estimator');
+const { PrinterSimulator } = require('./src/printer-simulator');
+const { HttpApiClient, mapDetail } = require('./src/http-api');
+const { defaultCameraUrl, getCameraRelay, closeAllCameraRelays } = require('./src/camera');
+const { TimelapseRecorder } = require('./src/timelapse');
+const { Authenticator, SESSION_COOKIE, checkRole } = require('./src/auth');
+const { TargetPolicy } = require('./src/target-policy');
+const { RateLimiter } = require('./src/rate-limiter');
+const { parseInfo, parseHeadLocation, parseTemperatures, parseProgress, parseStatus, machineState } = require('./src/reply-parser');
+const { ValidationError, NotFoundError, ForbiddenError, PrinterCommandError } = require('./src/errors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const PRINTER_PORT = 8899;
+const MAX_UPLOAD_BYTES = 512 * 1024 * 1024;
+const INFO_CACHE_TTL_MS = 10 * 60 * 1000;
+const DISCOVERY_WINDOW_MS = parseInt(process.env.DISCOVERY_WINDOW_MS || '3000', 10);
 
 // Enable CORS for all routes
 app.use(cors());
@@ -16,176 +50,253 @@ app.use(express.json());
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+// API keys and roles (config auth), every route below says which role it needs
+const auth = new Authenticator(config.auth);
+app.use(auth.middleware());
+
+function requireRole(role) {
+    return (req, res, next) => {
+        try {
+            checkRole(req.user, role);
+            next();
+        } catch (error) {
+            sendError(res, error);
+        }
+    };
+}
+
 // We'll attach a WebSocket server to the same HTTP server instance below
 
-// Protocol messages (same as Python version)
-const PROTOCOL_MESSAGES = {
-    CONTROL: '~M601 S1\r\n',
-    INFO: '~M115\r\n',
-    HEAD_POSITION: '~M114\r\n',
-    TEMP: '~M105\r\n',
-    PROGRESS: '~M27\r\n',
-    STATUS: '~M119\r\n',
-    // Control commands
-    LED_ON: '~M146 r255 g255 b255\r\n',
-    LED_OFF: '~M146 r0 g0 b0\r\n',
-    PAUSE: '~M25\r\n',
-    RESUME: '~M24\r\n',
-    CANCEL: '~M26\r\n',
-    HOME: '~G28\r\n',
-};
+// Printers can be addressed by registry id or directly by IP/hostname. An id
+// equal to a top-level route would never reach the /:ip routes.
+const RESERVED_PRINTER_IDS = ['auth', 'discover', 'fleet', 'history', 'metrics', 'printers', 'timelapses', 'webhooks'];
+const registry = new PrinterRegistry(path.join(config.dataDir, 'printers.json'), { reservedIds: RESERVED_PRINTER_IDS });
 
-// Regex patterns (converted and extended)
-const REGEX_PATTERNS = {
-    field: (fieldName) => new RegExp(`${fieldName}: ?(.+?)\\r?\\n`),
-    coordinates: (fieldName) => new RegExp(`${fieldName}:\s*([^\s]+)`),
-    // Info/build volume within M115
-    buildVolume: () => /X:\s*([\-\d.]+)\s+Y:\s*([\-\d.]+)\s+Z:\s*([\-\d.]+)/,
-    macAddress: () => /Mac Address:\s*([0-9A-Fa-f:]+)/,
-    // Temperatures from M105
-    t0: () => /T0:([\-\d.]+)\/([\-\d.]+)/,
-    t1: () => /T1:([\-\d.]+)\/([\-\d.]+)/,
-    bed: () => /B:([\-\d.]+)\/([\-\d.]+)/,
-    // Progress from M27
-    progressBytes: () => /SD printing byte\s+(\d+)\/(\d+)/,
-    progressLayers: () => /Layer:\s+(\d+)\/(\d+)/,
-    // Status M119 extras
-    led: () => /LED:\s*(\d+)/,
-    currentFile: () => /CurrentFile:\s*(.+)\r?/,
-    statusFlags: () => /Status:\s*([^\r\n]+)/,
-};
+// Saved printers, configured monitor addresses and addresses in targets.allow,
+// nothing else gets a connection
+const targetPolicy = new TargetPolicy(config.targets, {
+    isRegistered: (ref) => !!(registry.find(ref) || registry.findByHost(ref)) || config.monitor.printers.includes(ref),
+});
+
+function resolveTarget(ref) {
+    const printer = registry.find(ref);
+    if (printer) return { host: printer.host, port: printer.port || config.printerPort, printer };
+    return { host: ref, port: config.printerPort, printer: null };
+}
+
+// The registry id of the printer behind ref, so that one printer followed by
+// id and by address has one job history, one event stream and one series
+function printerRef(ref) {
+    if (registry.find(ref)) return ref;
+    const printer = registry.findByHost(ref, config.printerPort);
+    return printer ? printer.id : ref;
+}
+
+function sessionFor(ref) {
+    const { host, port } = resolveTarget(ref);
+    return getSession(host, port, { lookup: targetPolicy.connectLookup });
+}
 
-// Helper function to send and receive data from printer
+// Helper function to send and receive data from printer. Commands are queued on
+// the printer's shared session, which takes control (M601) once per connection.
 function sendAndReceive(ip, message) {
-    return new Promise((resolve, reject) => {
-        const client = new net.Socket();
-        client.setTimeout(5000);
+    return sessionFor(ip).send(message);
+}
 
-        client.connect(PRINTER_PORT, ip, () => {
-            client.write(message);
-        });
+// Report a failed request, keeping the status and code of known API errors
+function sendError(res, error) {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+}
 
-        client.on('data', (data) => {
-            client.destroy();
-            // console.log(data.toString());
-            resolve(data.toString());
-        });
+// One-shot control commands, shared by the REST routes and the MQTT bridge
+function controlCommand(action, body = {}) {
+    switch (action) {
+        case 'led': {
+            const { state, r, g, b } = body;
+            if (state === 'off') return PROTOCOL_MESSAGES.LED_OFF;
+            if (typeof r === 'number' && typeof g === 'number' && typeof b === 'number') {
+                // Custom RGB values (0-255)
+                return `~M146 r${Math.min(255, Math.max(0, r))} g${Math.min(255, Math.max(0, g))} b${Math.min(255, Math.max(0, b))}\r\n`;
+            }
+            return PROTOCOL_MESSAGES.LED_ON;
+        }
+        case 'pause':
+            return PROTOCOL_MESSAGES.PAUSE;
+        case 'resume':
+            return PROTOCOL_MESSAGES.RESUME;
+        case 'cancel':
+            return PROTOCOL_MESSAGES.CANCEL;
+        case 'home':
+            return PROTOCOL_MESSAGES.HOME;
+        default:
+            throw new ValidationError(`Unknown control action: ${action}`);
+    }
+}
 
-        client.on('timeout', () => {
-            client.destroy();
-            reject(new Error('Connection timeout'));
-        });
+// A JSON API that failed is left alone this long, so polls and commands don't
+// each wait for it to fail again before falling back to the 8899 dialect
+const HTTP_API_RETRY_MS = 60000;
+const httpApiFailures = new Map(); // printer id -> { error, at }
 
-        client.on('error', (err) => {
-            reject(err);
-        });
-    });
+// Printers saved with a serial number and check code also answer on the JSON API
+function httpApiFor(ref) {
+    const printer = registry.find(ref);
+    if (!printer || !printer.serialNumber || !printer.checkCode) return null;
+    const { serialNumber, checkCode } = printer;
+    return new HttpApiClient(printer.host, { serialNumber, checkCode, port: config.httpApiPort });
+}
+
+// The JSON API's last failure while it is being skipped, null when it may be used
+function recentHttpApiFailure(ref) {
+    const failure = httpApiFailures.get(ref);
+    if (failure && Date.now() - failure.at < HTTP_API_RETRY_MS) return failure.error;
+    httpApiFailures.delete(ref);
+    return null;
 }
 
-// Fetch a full snapshot for a given printer IP
+async function runControl(ip, action, body = {}) {
+    const api = httpApiFor(ip);
+    // Custom LED colours only exist in the G-code dialect
+    const rgb = action === 'led' && typeof (body || {}).r === 'number';
+    if (api && api.supports(action) && !rgb && !recentHttpApiFailure(ip)) {
+        try {
+            return await api.control(action, body || {});
+        } catch (e) {
+            // Same fallback as fetchSnapshot; a printer without a light stays an error
+            if (!(e instanceof PrinterCommandError)) throw e;
+            httpApiFailures.set(ip, { error: e, at: Date.now() });
+        }
+    }
+    const result = await sendAndReceive(ip, controlCommand(action, body || {}));
+    return result.trim();
+}
+
+// Fetch and parse M115 machine info
+async function fetchInfo(ip) {
+    return parseInfo(await sendAndReceive(ip, PROTOCOL_MESSAGES.INFO));
+}
+
+// Fetch and parse the M114 head position
+async function fetchHeadLocation(ip) {
+    return parseHeadLocation(await sendAndReceive(ip, PROTOCOL_MESSAGES.HEAD_POSITION));
+}
+
+// Fetch and parse the M105 temperatures
+async function fetchTemperatures(ip) {
+    return parseTemperatures(await sendAndReceive(ip, PROTOCOL_MESSAGES.TEMP));
+}
+
+// Fetch and parse the M27 print progress
+async function fetchProgress(ip) {
+    return parseProgress(await sendAndReceive(ip, PROTOCOL_MESSAGES.PROGRESS));
+}
+
+// Fetch and parse the M119 machine status
+async function fetchStatus(ip) {
+    return parseStatus(await sendAndReceive(ip, PROTOCOL_MESSAGES.STATUS));
+}
+
+// Machine info rarely changes, keep it around for validating control requests
+const infoCache = new Map(); // ip -> { info, fetchedAt }
+
+async function getCachedInfo(ip) {
+    const cached = infoCache.get(ip);
+    if (cached && Date.now() - cached.fetchedAt < INFO_CACHE_TTL_MS) return cached.info;
+    const info = await fetchInfo(ip);
+    infoCache.set(ip, { info, fetchedAt: Date.now() });
+    return info;
+}
+
+// Camera stream addresses reported by the JSON API, they win over the default one
+const cameraUrls = new Map(); // printer id or ip -> url
+
+// The printer picks the camera address, so it has to pass the same policy as
+// the printers themselves
+async function cameraRelayFor(url) {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:') throw new ForbiddenError(`Camera stream ${url} is not plain HTTP`, 'TARGET_NOT_ALLOWED');
+    await targetPolicy.check(hostname.replace(/^\[(.*)\]$/, '$1'));
+    return getCameraRelay(url, { lookup: targetPolicy.connectLookup });
+}
+
+async function cameraFor(ip) {
+    const ref = printerRef(ip);
+    if (cameraUrls.has(ref)) return cameraRelayFor(cameraUrls.get(ref));
+    const info = await getCachedInfo(ip);
+    if (!resolveModel(info.Type).camera) throw new NotFoundError(`${info.Type || 'This printer'} has no camera`);
+    return cameraRelayFor(defaultCameraUrl(resolveTarget(ip).host));
+}
+
+// Elapsed/remaining time of running prints, from the progress replies seen so far
+const progressEstimator = new ProgressEstimator();
+
+// Fetch a full snapshot for a given printer, through the JSON API when the
+// printer is set up for it and over the G-code dialect otherwise
 async function fetchSnapshot(ip) {
-    const errors = [];
-    // Always unlock/control first
-    try {
-        await sendAndReceive(ip, PROTOCOL_MESSAGES.CONTROL);
-    } catch (e) {
-        errors.push({ step: 'CONTROL', error: e.message });
+    const api = httpApiFor(ip);
+    if (!api) return fetchGcodeSnapshot(ip);
+    let failure = recentHttpApiFailure(ip);
+    if (!failure) {
+        try {
+            const { info, headLocation, temperatures, progress, status, extended } = mapDetail(await api.detail(), api.serialNumber);
+            status.State = machineState(status, temperatures);
+            return { info, headLocation, temperatures, progress, status, extended, errors: [], timestamp: new Date().toISOString() };
+        } catch (e) {
+            failure = e;
+            httpApiFailures.set(ip, { error: e, at: Date.now() });
+        }
     }
+    // Wrong check code, older firmware or the API is down: the 8899 dialect still works
+    const snapshot = await fetchGcodeSnapshot(ip);
+    snapshot.errors.push({ step: 'HTTP_API', error: failure.message, code: failure.code });
+    return snapshot;
+}
+
+async function fetchGcodeSnapshot(ip) {
+    const errors = [];
 
     let info = {};
     try {
-        const infoResult = await sendAndReceive(ip, PROTOCOL_MESSAGES.INFO);
-        // Map actual field names from device to UI-friendly keys
-        const mappings = [
-            { key: 'Type', src: 'Machine Type' },
-            { key: 'Name', src: 'Machine Name' },
-            { key: 'Firmware', src: 'Firmware' },
-            { key: 'SN', src: 'SN' },
-            { key: 'Tool Count', src: 'Tool Count' },
-        ];
-        for (const { key, src } of mappings) {
-            const match = infoResult.match(REGEX_PATTERNS.field(src));
-            if (match) info[key] = match[1];
-        }
-        const mac = infoResult.match(REGEX_PATTERNS.macAddress());
-        if (mac) info['Mac Address'] = mac[1];
-        const vol = infoResult.match(REGEX_PATTERNS.buildVolume());
-        if (vol) {
-            info['BuildVolumeX'] = vol[1];
-            info['BuildVolumeY'] = vol[2];
-            info['BuildVolumeZ'] = vol[3];
-        }
+        info = await fetchInfo(ip);
     } catch (e) {
-        errors.push({ step: 'INFO', error: e.message });
+        errors.push({ step: 'INFO', error: e.message, code: e.code });
     }
 
     let headLocation = {};
     try {
-        const headRes = await sendAndReceive(ip, PROTOCOL_MESSAGES.HEAD_POSITION);
-        for (const field of ['X', 'Y', 'Z']) {
-            const match = headRes.match(REGEX_PATTERNS.coordinates(field));
-            if (match) headLocation[field] = match[1];
-        }
+        headLocation = await fetchHeadLocation(ip);
     } catch (e) {
-        errors.push({ step: 'HEAD_POSITION', error: e.message });
+        errors.push({ step: 'HEAD_POSITION', error: e.message, code: e.code });
     }
 
     let temperatures = { Temperature: null, TargetTemperature: null };
     try {
-        const tempRes = await sendAndReceive(ip, PROTOCOL_MESSAGES.TEMP);
-        const t0 = tempRes.match(REGEX_PATTERNS.t0());
-        const t1 = tempRes.match(REGEX_PATTERNS.t1());
-        const bed = tempRes.match(REGEX_PATTERNS.bed());
-        temperatures = {
-            Temperature: t0 ? t0[1] : null,
-            TargetTemperature: t0 ? t0[2] : null,
-            T1Temperature: t1 ? t1[1] : null,
-            T1TargetTemperature: t1 ? t1[2] : null,
-            BedTemperature: bed ? bed[1] : null,
-            BedTargetTemperature: bed ? bed[2] : null,
-        };
+        temperatures = await fetchTemperatures(ip);
     } catch (e) {
-        errors.push({ step: 'TEMP', error: e.message });
+        errors.push({ step: 'TEMP', error: e.message, code: e.code });
     }
 
     let progress = { BytesPrinted: 0, BytesTotal: 0, PercentageCompleted: 0 };
     try {
-        const progRes = await sendAndReceive(ip, PROTOCOL_MESSAGES.PROGRESS);
-        const bytes = progRes.match(REGEX_PATTERNS.progressBytes());
-        const layers = progRes.match(REGEX_PATTERNS.progressLayers());
-        if (bytes) {
-            const printed = parseInt(bytes[1]);
-            const total = parseInt(bytes[2]);
-            const percentage = total === 0 ? 0 : Math.floor((printed / total) * 100);
-            progress = { BytesPrinted: printed, BytesTotal: total, PercentageCompleted: percentage };
-        }
-        if (layers) {
-            progress.LayerCurrent = parseInt(layers[1]);
-            progress.LayerTotal = parseInt(layers[2]);
-            // If we didn't compute percentage from bytes, compute from layers
-            if (progress.PercentageCompleted === 0 && progress.LayerTotal) {
-                progress.PercentageCompleted = Math.floor((progress.LayerCurrent / progress.LayerTotal) * 100);
-            }
-        }
+        progress = await fetchProgress(ip);
     } catch (e) {
-        errors.push({ step: 'PROGRESS', error: e.message });
+        errors.push({ step: 'PROGRESS', error: e.message, code: e.code });
     }
 
     let status = {};
     try {
-        const statusRes = await sendAndReceive(ip, PROTOCOL_MESSAGES.STATUS);
-        for (const field of ['Status', 'MachineStatus', 'MoveMode', 'Endstop']) {
-            const match = statusRes.match(REGEX_PATTERNS.field(field));
-            if (match) status[field] = match[1];
-        }
-        const led = statusRes.match(REGEX_PATTERNS.led());
-        if (led) status['LED'] = led[1];
-        const cf = statusRes.match(REGEX_PATTERNS.currentFile());
-        if (cf) status['CurrentFile'] = cf[1];
-        const sf = statusRes.match(REGEX_PATTERNS.statusFlags());
-        if (sf) status['StatusFlags'] = sf[1];
+        status = await fetchStatus(ip);
     } catch (e) {
-        errors.push({ step: 'STATUS', error: e.message });
+        errors.push({ step: 'STATUS', error: e.message, code: e.code });
+    }
+
+    if (!errors.some((e) => e.step === 'STATUS' || e.step === 'TEMP')) {
+        // M119 alone can't tell heating from printing
+        status.State = machineState(status, temperatures);
+    }
+    if (!errors.some((e) => e.step === 'PROGRESS' || e.step === 'STATUS')) {
+        Object.assign(progress, progressEstimator.update(ip, progress, status.State));
     }
 
     return {
@@ -199,8 +310,116 @@ async function fetchSnapshot(ip) {
     };
 }
 
-// WebSocket subscription hub by printer IP
-const subscriptions = new Map(); // ip -> { clients: Set<WebSocket>, timer: NodeJS.Timer, intervalMs: number }
+// Every polled snapshot is published here ('snapshot', ip, data, durationMs)
+// for the features that follow printers over time
+const snapshotFeed = new EventEmitter();
+
+// Changes worth telling someone about ('event', { type, printer, time, ... })
+const printerEvents = new EventEmitter();
+
+function emitPrinterEvent(ip, event) {
+    const printer = registry.find(ip);
+    printerEvents.emit('event', {
+        ...event,
+        printer: { id: ip, name: printer ? printer.name : ip, host: printer ? printer.host : ip },
+        time: new Date().toISOString(),
+    });
+}
+
+// Print jobs are detected from successive snapshots and kept once finished
+const jobHistory = new JobHistory(path.join(config.dataDir, 'history.jsonl'));
+const jobTracker = new JobTracker(path.join(config.dataDir, 'active-jobs.json'), {
+    onFinished: (record) => jobHistory.append(record),
+    // started -> jobStarted, completed -> jobCompleted, ...
+    onEvent: (type, job) => emitPrinterEvent(job.printerId, { type: `job${type[0].toUpperCase()}${type.slice(1)}`, job }),
+});
+const snapshotDiffer = new SnapshotDiffer();
+
+const webhooks = new WebhookDispatcher(config.webhooks);
+printerEvents.on('event', (event) => webhooks.dispatch(event));
+// WebSocket subscribers get the events next to the snapshots they belong to
+printerEvents.on('event', (event) => {
+    for (const [ip, entry] of subscriptions.entries()) {
+        if (printerRef(ip) === event.printer.id) broadcast(entry, { type: 'event', ip, event });
+    }
+});
+
+// Camera frames of every print, layer by layer
+const timelapses = new TimelapseRecorder(path.join(config.dataDir, 'timelapses'), config.timelapse, {
+    captureFrame: async (ip) => (await cameraFor(ip)).snapshot(),
+});
+printerEvents.on('event', (event) => {
+    if (event.type === 'jobFinished') timelapses.finish(event.job.printerId, event.job);
+});
+
+// Temperatures and progress over time, for charts that outlive the page
+const telemetry = new TelemetryStore(path.join(config.dataDir, 'telemetry'), config.telemetry);
+
+// Latest values and poll statistics for GET /metrics
+const exporter = new PrometheusExporter();
+
+// Home Assistant / MQTT, only when configured
+const mqttBridge = config.mqtt.enabled ? new MqttBridge(config.mqtt, { runControl }) : null;
+if (mqttBridge) mqttBridge.start();
+
+snapshotFeed.on('snapshot', (ip, data, durationMs) => {
+    const ref = printerRef(ip);
+    // The printer's own poller records it already
+    if (ref !== ip && subscriptions.has(ref)) return;
+    try {
+        const printer = registry.find(ref);
+        exporter.observe(ref, printer, data, durationMs);
+        if (mqttBridge) mqttBridge.publishSnapshot(ref, printer, data);
+        jobTracker.update(ref, data, printer);
+        timelapses.update(ref, data, jobTracker.current(ref));
+        for (const event of snapshotDiffer.update(ref, data)) emitPrinterEvent(ref, event);
+        telemetry.record(ref, data);
+        if (data.extended && data.extended.cameraUrl) cameraUrls.set(ref, data.extended.cameraUrl);
+    } catch (e) {
+        console.error(`Recording snapshot failed for ${ip}:`, e.message);
+    }
+});
+
+// WebSocket subscription hub by printer IP. Entries with pinned set are the
+// background monitor's and stay alive without clients.
+const subscriptions = new Map(); // ip -> { clients: Set<WebSocket>, timer: NodeJS.Timer, intervalMs: number, inFlight: boolean, pinned: boolean }
+
+function broadcast(entry, payload) {
+    const message = JSON.stringify(payload);
+    for (const ws of entry.clients) {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(message);
+        }
+    }
+}
+
+function startPollTimer(ip, entry) {
+    entry.timer = setInterval(async () => {
+        // Don't pile polls up in the printer's command queue when it is slow to answer
+        if (entry.inFlight) return;
+        entry.inFlight = true;
+        try {
+            const started = Date.now();
+            const data = await fetchSnapshot(ip);
+            const durationMs = Date.now() - started;
+            broadcast(entry, { type: 'snapshot', ip, data });
+            // After the broadcast, so events reach clients behind the snapshot they came from.
+            // A poll that outlived its subscription would bring back what was forgotten.
+            if (subscriptions.get(ip) === entry) snapshotFeed.emit('snapshot', ip, data, durationMs);
+        } catch (e) {
+            broadcast(entry, { type: 'error', ip, error: e.message });
+        } finally {
+            entry.inFlight = false;
+        }
+    }, entry.intervalMs);
+}
+
+// One-off snapshot for a single client, e.g. right after it subscribed
+function sendSnapshot(ws, ip) {
+    fetchSnapshot(ip)
+        .then((data) => ws.readyState === ws.OPEN && ws.send(JSON.stringify({ type: 'snapshot', ip, data })))
+        .catch((e) => ws.readyState === ws.OPEN && ws.send(JSON.stringify({ type: 'error', ip, error: e.message })));
+}
 
 function ensurePolling(ip, intervalMs = 2000) {
     const existing = subscriptions.get(ip);
@@ -209,44 +428,13 @@ function ensurePolling(ip, intervalMs = 2000) {
         if (intervalMs < existing.intervalMs) {
             clearInterval(existing.timer);
             existing.intervalMs = intervalMs;
-            existing.timer = setInterval(async () => {
-                try {
-                    const data = await fetchSnapshot(ip);
-                    for (const ws of existing.clients) {
-                        if (ws.readyState === ws.OPEN) {
-                            ws.send(JSON.stringify({ type: 'snapshot', ip, data }));
-                        }
-                    }
-                } catch (e) {
-                    for (const ws of existing.clients) {
-                        if (ws.readyState === ws.OPEN) {
-                            ws.send(JSON.stringify({ type: 'error', ip, error: e.message }));
-                        }
-                    }
-                }
-            }, existing.intervalMs);
+            startPollTimer(ip, existing);
         }
         return existing;
     }
 
-    const entry = { clients: new Set(), intervalMs, timer: null };
-    entry.timer = setInterval(async () => {
-        try {
-            const data = await fetchSnapshot(ip);
-            for (const ws of entry.clients) {
-                if (ws.readyState === ws.OPEN) {
-                    ws.send(JSON.stringify({ type: 'snapshot', ip, data }));
-                }
-            }
-        } catch (e) {
-            for (const ws of entry.clients) {
-                if (ws.readyState === ws.OPEN) {
-                    ws.send(JSON.stringify({ type: 'error', ip, error: e.message }));
-                }
-            }
-        }
-    }, intervalMs);
-
+    const entry = { clients: new Set(), intervalMs, timer: null, inFlight: false, pinned: false };
+    startPollTimer(ip, entry);
     subscriptions.set(ip, entry);
     return entry;
 }
@@ -254,221 +442,514 @@ function ensurePolling(ip, intervalMs = 2000) {
 function cleanupSubscription(ip) {
     const entry = subscriptions.get(ip);
     if (!entry) return;
-    if (entry.clients.size === 0) {
-        clearInterval(entry.timer);
+    if (entry.clients.size > 0) return;
+    clearInterval(entry.timer);
+    if (!entry.pinned) {
         subscriptions.delete(ip);
+        forgetUnpolled(ip);
+        return;
+    }
+    // Back to the monitor's own pace once the dashboards are gone
+    entry.intervalMs = config.monitor.intervalMs;
+    startPollTimer(ip, entry);
+}
+
+// Nothing polls ip any more. Its metrics would only go stale, and an address
+// a dashboard looked at once shouldn't stay in /metrics or Home Assistant.
+function forgetUnpolled(ip) {
+    const ref = printerRef(ip);
+    // Still polled under its other name
+    if ([...subscriptions.keys()].some((key) => printerRef(key) === ref)) return;
+    exporter.forget(ref);
+    if (mqttBridge && !registry.find(ref)) mqttBridge.forget(ref);
+}
+
+// Keep one pinned poller per registered printer and per address listed in the config
+function syncMonitoredPrinters() {
+    if (!config.monitor.enabled) return;
+    const ids = new Set([...registry.list().map((printer) => printer.id), ...config.monitor.printers]);
+    for (const id of ids) {
+        ensurePolling(id, config.monitor.intervalMs).pinned = true;
+    }
+    for (const [ip, entry] of subscriptions.entries()) {
+        if (entry.pinned && !ids.has(ip)) {
+            entry.pinned = false;
+            cleanupSubscription(ip);
+        }
     }
 }
 
 // API Routes
-app.get('/:ip/info', async (req, res) => {
+
+// Every /:ip route: the caller may read, and the policy allows the target.
+// Authentication comes first so that only known users learn what is refused.
+app.param('ip', (req, res, next, ref) => {
     try {
-        const { ip } = req.params;
-        
-        await sendAndReceive(ip, PROTOCOL_MESSAGES.CONTROL);
-        const infoResult = await sendAndReceive(ip, PROTOCOL_MESSAGES.INFO);
-        
-        const printerInfo = {};
-        const mappings = [
-            { key: 'Type', src: 'Machine Type' },
-            { key: 'Name', src: 'Machine Name' },
-            { key: 'Firmware', src: 'Firmware' },
-            { key: 'SN', src: 'SN' },
-            { key: 'Tool Count', src: 'Tool Count' },
-        ];
-        for (const { key, src } of mappings) {
-            const match = infoResult.match(REGEX_PATTERNS.field(src));
-            if (match) printerInfo[key] = match[1];
+        checkRole(req.user, 'viewer');
+    } catch (error) {
+        sendError(res, error);
+        return;
+    }
+    targetPolicy.check(ref).then(() => next(), (error) => sendError(res, error));
+});
+
+// UI login: trades an API key for a session cookie. Every attempt counts
+// against the client's limit, so keys can't be guessed at speed.
+const loginRateLimit = new RateLimiter(config.rateLimit.loginsPerMinute, 'login attempts');
+
+app.post('/auth/login', (req, res) => {
+    try {
+        loginRateLimit.take(req.socket.remoteAddress);
+        const { token, user } = auth.login((req.body || {}).key);
+        res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'strict', secure: req.secure, maxAge: auth.sessionMs });
+        res.json({ user });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/auth/logout', (req, res) => {
+    auth.logout(req);
+    res.clearCookie(SESSION_COOKIE);
+    res.status(204).end();
+});
+
+// Whether login is needed and who is logged in (user is null when nobody)
+app.get('/auth/me', (req, res) => {
+    res.json({ enabled: auth.enabled, user: req.user });
+});
+
+// Printer registry
+app.get('/printers', requireRole('viewer'), (req, res) => {
+    res.json({ printers: registry.list().map(publicPrinter) });
+});
+
+app.post('/printers', requireRole('admin'), (req, res) => {
+    try {
+        const printer = registry.create(req.body);
+        syncMonitoredPrinters();
+        res.status(201).json(publicPrinter(printer));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/printers/:id', requireRole('viewer'), (req, res) => {
+    try {
+        res.json(publicPrinter(registry.get(req.params.id)));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.put('/printers/:id', requireRole('admin'), (req, res) => {
+    try {
+        const printer = registry.update(req.params.id, req.body);
+        // The address may have changed, don't serve the old printer's info
+        infoCache.delete(printer.id);
+        cameraUrls.delete(printer.id);
+        httpApiFailures.delete(printer.id);
+        res.json(publicPrinter(printer));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/printers/:id', requireRole('admin'), (req, res) => {
+    try {
+        registry.remove(req.params.id);
+        infoCache.delete(req.params.id);
+        cameraUrls.delete(req.params.id);
+        httpApiFailures.delete(req.params.id);
+        jobTracker.forget(req.params.id);
+        timelapses.finish(req.params.id);
+        exporter.forget(req.params.id);
+        snapshotDiffer.forget(req.params.id);
+        progressEstimator.forget(req.params.id);
+        if (mqttBridge) mqttBridge.forget(req.params.id);
+        syncMonitoredPrinters();
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Prometheus scrape endpoint for every polled printer
+app.get('/metrics', requireRole('viewer'), (req, res) => {
+    res.type('text/plain; version=0.0.4').send(exporter.render());
+});
+
+// Configured webhooks and their recent deliveries
+app.get('/webhooks', requireRole('admin'), (req, res) => {
+    res.json({ webhooks: webhooks.list() });
+});
+
+app.get('/webhooks/:id/deliveries', requireRole('admin'), (req, res) => {
+    try {
+        res.json({ deliveries: webhooks.deliveries(req.params.id) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Finished print jobs: /history?printer=id&from=2024-05-01&to=2024-05-31&outcome=completed&format=csv
+app.get('/history', requireRole('viewer'), (req, res) => {
+    try {
+        const jobs = jobHistory.query(req.query);
+        if (req.query.format === 'csv') {
+            res.type('text/csv').attachment('print-history.csv').send(toCsv(jobs));
+            return;
         }
-        const mac = infoResult.match(REGEX_PATTERNS.macAddress());
-        if (mac) printerInfo['Mac Address'] = mac[1];
-        const vol = infoResult.match(REGEX_PATTERNS.buildVolume());
-        if (vol) {
-            printerInfo['BuildVolumeX'] = vol[1];
-            printerInfo['BuildVolumeY'] = vol[2];
-            printerInfo['BuildVolumeZ'] = vol[3];
+        const printers = req.query.printer ? String(req.query.printer).split(',') : null;
+        const active = [...jobTracker.active.values()].filter((job) => !printers || printers.includes(job.printerId));
+        res.json({ jobs, active });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Recorded timelapses, newest first: /timelapses?printer=id
+app.get('/timelapses', requireRole('viewer'), (req, res) => {
+    res.json({ timelapses: timelapses.list(req.query) });
+});
+
+// One timelapse: its details as JSON, the flipbook player in a browser, or
+// every frame as a ZIP with ?format=zip
+app.get('/timelapses/:jobId', requireRole('viewer'), (req, res) => {
+    try {
+        const timelapse = timelapses.get(req.params.jobId);
+        if (req.query.format === 'zip') {
+            const name = `${timelapse.printerName}-${timelapse.file || timelapse.jobId}`.replace(/[^\w.-]+/g, '_');
+            res.attachment(`timelapse-${name}.zip`);
+            timelapses.writeArchive(timelapse.jobId, res).catch((e) => {
+                console.error(`Timelapse archive ${timelapse.jobId} failed:`, e.message);
+                res.destroy();
+            });
+            return;
         }
-        
+        res.format({
+            json: () => res.json(timelapse),
+            html: () => res.sendFile(path.join(__dirname, 'public', 'timelapse.html')),
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/timelapses/:jobId/frames/:index.jpg', requireRole('viewer'), (req, res) => {
+    try {
+        res.sendFile(timelapses.framePath(req.params.jobId, req.params.index));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Broadcast for printers on the LAN: /discover?timeout=3000
+app.get('/discover', requireRole('operator'), async (req, res) => {
+    try {
+        const requested = parseInt(req.query.timeout, 10);
+        const windowMs = Math.min(15000, Math.max(500, isNaN(requested) ? DISCOVERY_WINDOW_MS : requested));
+        const found = await discoverPrinters(windowMs);
+        // Enrich every reply with its M115 info, printers that don't answer still get listed.
+        // Anything can answer a broadcast, so only allowed addresses are asked.
+        const printers = await Promise.all(found.map(async (printer) => {
+            try {
+                await targetPolicy.check(printer.ip);
+                return { ...printer, info: await fetchInfo(printer.ip) };
+            } catch (e) {
+                return { ...printer, info: null, error: e.message };
+            }
+        }));
+        res.json({ printers, windowMs });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/:ip/info', requireRole('viewer'), async (req, res) => {
+    try {
+        const { ip } = req.params;
+        const printerInfo = await fetchInfo(ip);
         res.json(printerInfo);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-app.get('/:ip/head-location', async (req, res) => {
+app.get('/:ip/head-location', requireRole('viewer'), async (req, res) => {
     try {
         const { ip } = req.params;
-        
-        await sendAndReceive(ip, PROTOCOL_MESSAGES.CONTROL);
-        const infoResult = await sendAndReceive(ip, PROTOCOL_MESSAGES.HEAD_POSITION);
-        
-        const printerInfo = {};
-        const fields = ['X', 'Y', 'Z'];
-        
-        for (const field of fields) {
-            const match = infoResult.match(REGEX_PATTERNS.coordinates(field));
-            if (match) {
-                printerInfo[field] = match[1];
-            }
-        }
-        
+        const printerInfo = await fetchHeadLocation(ip);
         res.json(printerInfo);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-app.get('/:ip/temp', async (req, res) => {
+app.get('/:ip/temp', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json(await fetchTemperatures(req.params.ip));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Model specific limits the UI uses to offer sensible presets
+app.get('/:ip/temp/limits', requireRole('viewer'), async (req, res) => {
     try {
         const { ip } = req.params;
-        
-        await sendAndReceive(ip, PROTOCOL_MESSAGES.CONTROL);
-        const infoResult = await sendAndReceive(ip, PROTOCOL_MESSAGES.TEMP);
-        const t0 = infoResult.match(REGEX_PATTERNS.t0());
-        const t1 = infoResult.match(REGEX_PATTERNS.t1());
-        const bed = infoResult.match(REGEX_PATTERNS.bed());
-        res.json({
-            Temperature: t0 ? t0[1] : null,
-            TargetTemperature: t0 ? t0[2] : null,
-            T1Temperature: t1 ? t1[1] : null,
-            T1TargetTemperature: t1 ? t1[2] : null,
-            BedTemperature: bed ? bed[1] : null,
-            BedTargetTemperature: bed ? bed[2] : null,
-        });
+        const info = await getCachedInfo(ip);
+        res.json({ ...resolveModel(info.Type), toolCount: info['Tool Count'] || 1 });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-app.get('/:ip/progress', async (req, res) => {
+// Set target temperatures: { extruder, tool, bed } in °C
+app.post('/:ip/temp', requireRole('operator'), async (req, res) => {
     try {
         const { ip } = req.params;
-        
-        await sendAndReceive(ip, PROTOCOL_MESSAGES.CONTROL);
-        const infoResult = await sendAndReceive(ip, PROTOCOL_MESSAGES.PROGRESS);
-        console.log(infoResult);
-        const bytes = infoResult.match(REGEX_PATTERNS.progressBytes());
-        const layers = infoResult.match(REGEX_PATTERNS.progressLayers());
-        let printed = 0, total = 0, percentage = 0, layerCurrent = null, layerTotal = null;
-        if (bytes) {
-            printed = parseInt(bytes[1]);
-            total = parseInt(bytes[2]);
-            percentage = total === 0 ? 0 : Math.floor((printed / total) * 100);
-        }
-        if (layers) {
-            layerCurrent = parseInt(layers[1]);
-            layerTotal = parseInt(layers[2]);
-            if (!percentage && layerTotal) {
-                percentage = Math.floor((layerCurrent / layerTotal) * 100);
-            }
+        const info = await getCachedInfo(ip);
+        const model = resolveModel(info.Type);
+        const toolCount = info['Tool Count'] || 1;
+        const { commands, targets } = buildTemperatureCommands(req.body, model, toolCount);
+
+        const responses = [];
+        for (const command of commands) {
+            responses.push((await sendAndReceive(ip, command)).trim());
         }
-        res.json({
-            BytesPrinted: printed,
-            BytesTotal: total,
-            PercentageCompleted: percentage,
-            LayerCurrent: layerCurrent,
-            LayerTotal: layerTotal,
-        });
+        res.json({ success: true, targets, response: responses.join('\n') });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-app.get('/:ip/status', async (req, res) => {
+app.get('/:ip/progress', requireRole('viewer'), async (req, res) => {
     try {
         const { ip } = req.params;
-        
-        await sendAndReceive(ip, PROTOCOL_MESSAGES.CONTROL);
-        const infoResult = await sendAndReceive(ip, PROTOCOL_MESSAGES.STATUS);
-        console.log(infoResult);
-        const printerInfo = {};
-        const fields = ['Status', 'MachineStatus', 'MoveMode', 'Endstop'];
-        for (const field of fields) {
-            const match = infoResult.match(REGEX_PATTERNS.field(field));
-            if (match) printerInfo[field] = match[1];
-        }
-        const led = infoResult.match(REGEX_PATTERNS.led());
-        if (led) printerInfo['LED'] = led[1];
-        const cf = infoResult.match(REGEX_PATTERNS.currentFile());
-        if (cf) printerInfo['CurrentFile'] = cf[1];
-        const sf = infoResult.match(REGEX_PATTERNS.statusFlags());
-        if (sf) printerInfo['StatusFlags'] = sf[1];
+        const progress = await fetchProgress(ip);
+        // The estimate needs to know whether the printer is paused or heating
+        const status = await fetchStatus(ip);
+        const temperatures = await fetchTemperatures(ip);
+        res.json({ ...progress, ...progressEstimator.update(ip, progress, machineState(status, temperatures)) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Recorded series: /:ip/metrics?from=2024-05-01T08:00:00Z&to=...&step=60 (seconds)
+app.get('/:ip/metrics', requireRole('viewer'), (req, res) => {
+    try {
+        res.json(telemetry.query(printerRef(req.params.ip), req.query));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/:ip/status', requireRole('viewer'), async (req, res) => {
+    try {
+        const { ip } = req.params;
+        const printerInfo = await fetchStatus(ip);
         res.json(printerInfo);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 // Control endpoints
-app.post('/:ip/led', async (req, res) => {
+app.post('/:ip/led', requireRole('operator'), async (req, res) => {
+    try {
+        res.json({ success: true, response: await runControl(req.params.ip, 'led', req.body) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/:ip/pause', requireRole('operator'), async (req, res) => {
+    try {
+        res.json({ success: true, response: await runControl(req.params.ip, 'pause') });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/:ip/resume', requireRole('operator'), async (req, res) => {
+    try {
+        res.json({ success: true, response: await runControl(req.params.ip, 'resume') });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/:ip/cancel', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, response: await runControl(req.params.ip, 'cancel') });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/:ip/home', requireRole('operator'), async (req, res) => {
+    try {
+        res.json({ success: true, response: await runControl(req.params.ip, 'home') });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Jog or move the head: { mode: 'relative' | 'absolute', x, y, z, feedRate }
+app.post('/:ip/move', requireRole('operator'), async (req, res) => {
     try {
         const { ip } = req.params;
-        const { state, r, g, b } = req.body;
-        
-        await sendAndReceive(ip, PROTOCOL_MESSAGES.CONTROL);
-        
-        let command;
-        if (state === 'off') {
-            command = PROTOCOL_MESSAGES.LED_OFF;
-        } else if (typeof r === 'number' && typeof g === 'number' && typeof b === 'number') {
-            // Custom RGB values (0-255)
-            command = `~M146 r${Math.min(255, Math.max(0, r))} g${Math.min(255, Math.max(0, g))} b${Math.min(255, Math.max(0, b))}\r\n`;
-        } else {
-            command = PROTOCOL_MESSAGES.LED_ON;
+        const body = req.body || {};
+        const info = await getCachedInfo(ip);
+        assertIdle(await fetchStatus(ip));
+        const position = body.mode === 'absolute' ? {} : await fetchHeadLocation(ip);
+        const buildVolume = { X: info.BuildVolumeX, Y: info.BuildVolumeY, Z: info.BuildVolumeZ };
+        const { commands, axes, mode } = buildMoveCommands(body, buildVolume, position);
+
+        // Keep the positioning mode switch and the move together in the queue
+        const responses = await sessionFor(ip).transaction(async (io) => {
+            const replies = [];
+            for (const command of commands) {
+                replies.push((await io.send(command)).trim());
+            }
+            return replies;
+        });
+        res.json({ success: true, mode, axes, response: responses.join('\n') });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Raw G-code console: { command: "~M105" }, subject to the configured allow/deny lists
+app.post('/:ip/gcode', requireRole('admin'), async (req, res) => {
+    try {
+        const { ip } = req.params;
+        const result = await runConsoleCommand(sessionFor(ip), (req.body || {}).command, config.gcode);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        // Whatever the printer did answer is still useful on the console
+        const response = error.reply || error.partial;
+        res.status(error.status || 500).json({ error: error.message, code: error.code, response });
+    }
+});
+
+// Uploaded files are spooled to disk first, M28 needs the size up front
+const gcodeUpload = multer({ dest: os.tmpdir(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
+
+function receiveGcodeFile(req, res, next) {
+    gcodeUpload.single('file')(req, res, (err) => {
+        if (err) return sendError(res, new ValidationError(err.message));
+        next();
+    });
+}
+
+app.post('/:ip/upload', requireRole('admin'), receiveGcodeFile, async (req, res) => {
+    const { ip } = req.params;
+    const file = req.file;
+    try {
+        if (!file) throw new ValidationError('Expected a multipart "file" field');
+        const fileName = sanitizeFileName(req.body.fileName || file.originalname);
+        const startPrint = req.body.print === 'true' || req.body.print === '1';
+        const uploadId = crypto.randomUUID();
+
+        // Progress goes to every WebSocket client watching this printer
+        const notify = (payload) => {
+            const entry = subscriptions.get(ip);
+            if (entry) broadcast(entry, { type: 'upload', ip, uploadId, fileName, ...payload });
+        };
+
+        notify({ stage: 'started', bytesSent: 0, bytesTotal: file.size, percentage: 0 });
+        try {
+            const result = await uploadFile(sessionFor(ip), {
+                filePath: file.path,
+                size: file.size,
+                fileName,
+                startPrint,
+                onProgress: (bytesSent, bytesTotal) => notify({
+                    stage: 'progress',
+                    bytesSent,
+                    bytesTotal,
+                    percentage: bytesTotal === 0 ? 100 : Math.floor((bytesSent / bytesTotal) * 100),
+                }),
+            });
+            notify({ stage: 'complete', bytesSent: result.bytes, bytesTotal: file.size, percentage: 100, printing: result.printing });
+            res.json({ success: true, uploadId, ...result });
+        } catch (error) {
+            notify({ stage: 'failed', error: error.message });
+            throw error;
         }
-        
-        const result = await sendAndReceive(ip, command);
-        res.json({ success: true, response: result.trim() });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
+    } finally {
+        if (file) fs.unlink(file.path, () => {});
     }
 });
 
-app.post('/:ip/pause', async (req, res) => {
+// Files stored on the printer
+app.get('/:ip/files', requireRole('viewer'), async (req, res) => {
     try {
         const { ip } = req.params;
-        
-        await sendAndReceive(ip, PROTOCOL_MESSAGES.CONTROL);
-        const result = await sendAndReceive(ip, PROTOCOL_MESSAGES.PAUSE);
-        res.json({ success: true, response: result.trim() });
+        const files = await listFiles(sessionFor(ip));
+        res.json({ files });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-app.post('/:ip/resume', async (req, res) => {
+app.post('/:ip/files/:name/print', requireRole('admin'), async (req, res) => {
     try {
         const { ip } = req.params;
-        
-        await sendAndReceive(ip, PROTOCOL_MESSAGES.CONTROL);
-        const result = await sendAndReceive(ip, PROTOCOL_MESSAGES.RESUME);
-        res.json({ success: true, response: result.trim() });
+        const fileName = sanitizeFileName(req.params.name);
+        const result = await printFile(sessionFor(ip), fileName);
+        res.json({ success: true, fileName, response: result.trim() });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-app.post('/:ip/cancel', async (req, res) => {
+app.get('/:ip/files/:name/thumbnail', requireRole('viewer'), async (req, res) => {
     try {
         const { ip } = req.params;
-        
-        await sendAndReceive(ip, PROTOCOL_MESSAGES.CONTROL);
-        const result = await sendAndReceive(ip, PROTOCOL_MESSAGES.CANCEL);
-        res.json({ success: true, response: result.trim() });
+        const fileName = sanitizeFileName(req.params.name);
+        const png = await getThumbnail(sessionFor(ip), fileName);
+        res.set('Cache-Control', 'private, max-age=300');
+        res.type('png').send(png);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-app.post('/:ip/home', async (req, res) => {
+app.delete('/:ip/files/:name', requireRole('admin'), async (req, res) => {
     try {
         const { ip } = req.params;
-        
-        await sendAndReceive(ip, PROTOCOL_MESSAGES.CONTROL);
-        const result = await sendAndReceive(ip, PROTOCOL_MESSAGES.HOME);
-        res.json({ success: true, response: result.trim() });
+        const fileName = sanitizeFileName(req.params.name);
+        const result = await deleteFile(sessionFor(ip), fileName);
+        res.json({ success: true, fileName, response: result.trim() });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
+    }
+});
+
+// Live MJPEG from the printer's camera, one upstream connection for all viewers
+app.get('/:ip/camera/stream', requireRole('viewer'), async (req, res) => {
+    try {
+        const camera = await cameraFor(req.params.ip);
+        camera.addViewer(res, (error) => sendError(res, error));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// A single frame of the same stream
+app.get('/:ip/camera/snapshot.jpg', requireRole('viewer'), async (req, res) => {
+    try {
+        const camera = await cameraFor(req.params.ip);
+        const frame = await camera.snapshot();
+        res.type('image/jpeg').set('Cache-Control', 'no-store').send(frame);
+    } catch (error) {
+        sendError(res, error);
     }
 });
 
@@ -476,8 +957,28 @@ app.post('/:ip/home', async (req, res) => {
 const httpServer = http.createServer(app);
 const wss = new WebSocketServer({ server: httpServer, path: '/ws' });
 
+// Role needed per WebSocket message type
+const WS_MESSAGE_ROLES = {
+    subscribe: 'viewer',
+    unsubscribe: 'viewer',
+    snapshot: 'viewer',
+    command: 'admin',
+};
+
+// Snapshot and subscribe requests make the server poll printers, so each
+// client (by remote address) only gets so many
+const wsRateLimits = {
+    subscribe: new RateLimiter(config.rateLimit.subscribesPerMinute, 'subscribe requests'),
+    snapshot: new RateLimiter(config.rateLimit.snapshotsPerMinute, 'snapshot requests'),
+};
+
 wss.on('connection', (ws, req) => {
+    if (!auth.identify(req)) {
+        ws.close(1008, 'Log in or send an API key');
+        return;
+    }
     console.log('WS client connected');
+    const client = req.socket.remoteAddress;
 
     // Parse query params for immediate subscription: /ws?ip=192.168.0.50&interval=2000
     try {
@@ -485,25 +986,56 @@ wss.on('connection', (ws, req) => {
         const ip = url.searchParams.get('ip');
         const interval = parseInt(url.searchParams.get('interval') || '2000', 10);
         if (ip) {
-            const entry = ensurePolling(ip, isNaN(interval) ? 2000 : Math.max(500, interval));
-            entry.clients.add(ws);
-            // Send an immediate snapshot on connect
-            fetchSnapshot(ip)
-                .then((data) => ws.readyState === ws.OPEN && ws.send(JSON.stringify({ type: 'snapshot', ip, data })))
-                .catch((e) => ws.readyState === ws.OPEN && ws.send(JSON.stringify({ type: 'error', ip, error: e.message })));
+            wsRateLimits.subscribe.take(client);
+            targetPolicy.check(ip).then(() => {
+                if (ws.readyState !== ws.OPEN) return;
+                const entry = ensurePolling(ip, isNaN(interval) ? 2000 : Math.max(500, interval));
+                entry.clients.add(ws);
+                // Send an immediate snapshot on connect
+                sendSnapshot(ws, ip);
+            }, (e) => ws.send(JSON.stringify({ type: 'error', ip, error: e.message, code: e.code })));
         }
     } catch (e) {
-        // Ignore URL parse errors
+        ws.send(JSON.stringify({ type: 'error', error: e.message, code: e.code }));
     }
 
     ws.on('message', (message) => {
+        let msg;
+        try {
+            msg = JSON.parse(message.toString());
+        } catch (e) {
+            ws.send(JSON.stringify({ type: 'error', error: 'Invalid message format' }));
+            return;
+        }
+        const refuse = (e) => {
+            if (ws.readyState !== ws.OPEN) return;
+            if (msg.type === 'command') {
+                ws.send(JSON.stringify({ type: 'commandResult', ip: msg.ip, id: msg.id, command: msg.command, error: e.message, code: e.code }));
+            } else {
+                ws.send(JSON.stringify({ type: 'error', ip: msg.ip, error: e.message, code: e.code }));
+            }
+        };
         try {
-            const msg = JSON.parse(message.toString());
+            // Checked on every message, so a logout or an expired session takes effect at once
+            checkRole(auth.identify(req), WS_MESSAGE_ROLES[msg.type] || 'viewer');
+            if (wsRateLimits[msg.type]) wsRateLimits[msg.type].take(client);
+        } catch (e) {
+            refuse(e);
+            return;
+        }
+        // Unsubscribing never opens a connection, everything else needs an allowed target
+        const allowed = msg.ip && msg.type !== 'unsubscribe' ? targetPolicy.check(msg.ip) : Promise.resolve();
+        allowed.then(() => {
+            // The client may have gone while a hostname was being resolved
+            if (ws.readyState !== ws.OPEN) return;
             if (msg.type === 'subscribe' && msg.ip) {
                 const interval = typeof msg.intervalMs === 'number' ? Math.max(500, msg.intervalMs) : 2000;
                 const entry = ensurePolling(msg.ip, interval);
+                const isNew = !entry.clients.has(ws);
                 entry.clients.add(ws);
                 ws.send(JSON.stringify({ type: 'subscribed', ip: msg.ip, intervalMs: entry.intervalMs }));
+                // Fleet views subscribe to many printers on one socket, don't make them wait a full interval
+                if (isNew) sendSnapshot(ws, msg.ip);
             } else if (msg.type === 'unsubscribe' && msg.ip) {
                 const entry = subscriptions.get(msg.ip);
                 if (entry) {
@@ -511,15 +1043,18 @@ wss.on('connection', (ws, req) => {
                     cleanupSubscription(msg.ip);
                 }
                 ws.send(JSON.stringify({ type: 'unsubscribed', ip: msg.ip }));
+            } else if (msg.type === 'command' && msg.ip) {
+                // Console command: reply chunks are streamed, then the final result
+                const { ip, id } = msg;
+                const send = (payload) => ws.readyState === ws.OPEN && ws.send(JSON.stringify(payload));
+                runConsoleCommand(sessionFor(ip), msg.command, config.gcode, (chunk) => send({ type: 'commandOutput', ip, id, chunk }))
+                    .then(({ command, response }) => send({ type: 'commandResult', ip, id, command, response }))
+                    .catch((e) => send({ type: 'commandResult', ip, id, command: msg.command, error: e.message, code: e.code }));
             } else if (msg.type === 'snapshot' && msg.ip) {
                 // One-off snapshot request
-                fetchSnapshot(msg.ip)
-                    .then((data) => ws.readyState === ws.OPEN && ws.send(JSON.stringify({ type: 'snapshot', ip: msg.ip, data })))
-                    .catch((e) => ws.readyState === ws.OPEN && ws.send(JSON.stringify({ type: 'error', ip: msg.ip, error: e.message })));
+                sendSnapshot(ws, msg.ip);
             }
-        } catch (e) {
-            ws.send(JSON.stringify({ type: 'error', error: 'Invalid message format' }));
-        }
+        }).catch(refuse);
     });
 
     ws.on('close', () => {
@@ -537,6 +1072,47 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+app.get('/fleet', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'fleet.html'));
+});
+
+// Release printer control before exiting so the touchscreen is usable again
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        telemetry.flush();
+        if (mqttBridge) mqttBridge.stop();
+        closeAllSessions();
+        closeAllCameraRelays();
+        setTimeout(() => process.exit(0), 200);
+    });
+}
+
+// Demo mode: a simulated printer on this machine, saved like any other printer
+async function startDemoPrinter() {
+    const { model, port, speed } = config.demo;
+    const simulator = new PrinterSimulator({ model, port, speed });
+    await simulator.start();
+    const saved = registry.list().find((printer) => printer.host === simulator.host && printer.port === simulator.port);
+    if (!saved) {
+        registry.create({
+            name: simulator.name,
+            host: simulator.host,
+            port: simulator.port,
+            model: simulator.model.name,
+            notes: 'Built-in simulator (demo mode)',
+            tags: ['demo'],
+        });
+    }
+    console.log(`Demo mode: simulated ${simulator.model.name} listening on ${simulator.host}:${simulator.port}`);
+}
+
+syncMonitoredPrinters();
+if (config.demo.enabled) {
+    startDemoPrinter()
+        .then(syncMonitoredPrinters)
+        .catch((e) => console.error('Could not start the demo printer:', e.message));
+}
+
 httpServer.listen(PORT, () => {
     console.log(`HTTP server running on port ${PORT}`);
     console.log(`Open http://localhost:${PORT} in your browser`);
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { UnauthorizedError, ForbiddenError } = require('./errors');
+
+// Each role can do everything the ones before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE = 'ff_session';
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(String(text)).digest();
+}
+
+function parseCookies(header = '') {
+    const cookies = {};
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (e) {
+            // A malformed cookie is skipped, the request is then just not logged in
+        }
+    }
+    return cookies;
+}
+
+function hasRole(user, role) {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// API keys from the config file, each with a role. Scripts send the key as
+// "Authorization: Bearer <key>" or "X-API-Key: <key>"; the UI trades it for a
+// session cookie at POST /auth/login, which also covers WebSocket, camera and
+// download requests. With auth disabled everyone is an admin.
+class Authenticator {
+    constructor({ enabled = false, keys = [], sessionHours = 168 } = {}) {
+        this.enabled = enabled;
+        this.sessionMs = sessionHours * 60 * 60 * 1000;
+        this.keys = keys.map((entry, i) => {
+            if (!entry || typeof entry.key !== 'string' || entry.key.length < 16) {
+                throw new Error(`auth.keys[${i}]: key must be a string of at least 16 characters`);
+            }
+            if (!ROLES.includes(entry.role)) {
+                throw new Error(`auth.keys[${i}]: role must be one of ${ROLES.join(', ')}`);
+            }
+            return { name: entry.name || `key ${i + 1}`, role: entry.role, hash: sha256(entry.key) };
+        });
+        if (this.enabled && !this.keys.length) throw new Error('auth.enabled is set but auth.keys is empty');
+        this.sessions = new Map(); // token -> { name, role, expiresAt }
+    }
+
+    // The key's owner, compared in constant time
+    findKey(key) {
+        if (typeof key !== 'string' || !key) return null;
+        const hash = sha256(key);
+        const match = this.keys.find((entry) => crypto.timingSafeEqual(entry.hash, hash));
+        return match ? { name: match.name, role: match.role } : null;
+    }
+
+    // Who made this HTTP or WebSocket upgrade request, null when nobody we know
+    identify(req) {
+        if (!this.enabled) return { name: 'anonymous', role: 'admin' };
+        const header = req.headers.authorization || '';
+        const bearer = header.match(/^Bearer\s+(.+)$/i);
+        const key = bearer ? bearer[1].trim() : req.headers['x-api-key'];
+        if (key) return this.findKey(key);
+
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const session = token && this.sessions.get(token);
+        if (!session) return null;
+        if (session.expiresAt < Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        return { name: session.name, role: session.role };
+    }
+
+    login(key) {
+        const user = this.findKey(key);
+        if (!user) throw new UnauthorizedError('Unknown API key');
+        const token = crypto.randomBytes(32).toString('base64url');
+        for (const [other, session] of this.sessions) {
+            if (session.expiresAt < Date.now()) this.sessions.delete(other);
+        }
+        this.sessions.set(token, { ...user, expiresAt: Date.now() + this.sessionMs });
+        return { token, user };
+    }
+
+    logout(req) {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (token) this.sessions.delete(token);
+    }
+
+    // Sets req.user for the routes after it
+    middleware() {
+        return (req, res, next) => {
+            req.user = this.identify(req);
+            next();
+        };
+    }
+}
+
+// Refuses the request unless the caller has at least this role
+function checkRole(user, role) {
+    if (!user) throw new UnauthorizedError();
+    if (!hasRole(user, role)) throw new ForbiddenError(`This needs the ${role} role, ${user.name} is ${user.role}`, 'ROLE_REQUIRED');
+}
+
+module.exports = {
+    ROLES,
+    SESSION_COOKIE,
+    Authenticator,
+    checkRole,
+    hasRole,
+};
@@ -0,0 +1,197 @@
+const http = require('http');
+const { PrinterCommandError } = require('./errors');
+
+// The Adventurer 3/4/5M and AD5X serve their camera as MJPEG (mjpg-streamer)
+const CAMERA_PORT = 8080;
+const BOUNDARY = 'flashforgeframe';
+const CONNECT_TIMEOUT_MS = 5000;
+const SNAPSHOT_TIMEOUT_MS = 10000;
+// Keep the printer's stream open this long after the last viewer left, so a page reload doesn't reconnect
+const IDLE_CLOSE_MS = 5000;
+// A frame this recent is still good enough for a snapshot
+const FRESH_FRAME_MS = 1000;
+// Give up on a frame that never ends rather than buffering forever
+const MAX_FRAME_BYTES = 4 * 1024 * 1024;
+
+const JPEG_START = Buffer.from([0xff, 0xd8]);
+const JPEG_END = Buffer.from([0xff, 0xd9]);
+
+function defaultCameraUrl(host) {
+    return `http://${host}:${CAMERA_PORT}/?action=stream`;
+}
+
+// One printer's camera. The printer only copes with a couple of stream clients,
+// so every viewer and snapshot shares a single upstream connection, which is
+// opened on demand and closed again once nobody is watching.
+class CameraRelay {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.lookup = options.lookup;
+        this.request = null;
+        this.buffer = Buffer.alloc(0);
+        this.viewers = new Set(); // { res, onError, started }
+        this.waiters = new Set(); // { resolve, reject, timer }
+        this.frame = null;
+        this.frameAt = 0;
+        this.idleTimer = null;
+    }
+
+    // Stream to an HTTP response. onError is called when the camera fails
+    // before the first frame, while the response can still carry an error.
+    addViewer(res, onError) {
+        const viewer = { res, onError, started: false };
+        this.viewers.add(viewer);
+        res.on('close', () => {
+            this.viewers.delete(viewer);
+            this.scheduleClose();
+        });
+        // Show the last frame straight away instead of a blank image
+        if (this.frame && this.request) this.sendFrame(viewer, this.frame);
+        this.connect();
+    }
+
+    // Resolves with a single JPEG frame
+    snapshot() {
+        if (this.frame && this.request && Date.now() - this.frameAt < FRESH_FRAME_MS) return Promise.resolve(this.frame);
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.waiters.delete(waiter);
+                reject(new PrinterCommandError(`No camera frame within ${SNAPSHOT_TIMEOUT_MS} ms`));
+                this.scheduleClose();
+            }, SNAPSHOT_TIMEOUT_MS);
+            this.waiters.add(waiter);
+            this.connect();
+        });
+    }
+
+    connect() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        if (this.request) return;
+
+        const request = http.get(this.url, { lookup: this.lookup }, (response) => {
+            if (response.statusCode !== 200) {
+                response.resume();
+                this.fail(request, new PrinterCommandError(`Camera answered HTTP ${response.statusCode}`));
+                return;
+            }
+            response.on('data', (chunk) => this.request === request && this.receive(chunk));
+            response.on('end', () => this.fail(request, new PrinterCommandError('Camera stream ended')));
+        });
+        // Also catches a stream that stalls later on
+        request.setTimeout(CONNECT_TIMEOUT_MS, () => request.destroy(new Error(`no data for ${CONNECT_TIMEOUT_MS} ms`)));
+        request.on('error', (e) => this.fail(request, new PrinterCommandError(`Camera stream failed: ${e.code || e.message}`)));
+        this.request = request;
+    }
+
+    // Frames are cut out by their JPEG start/end markers rather than by the
+    // multipart headers, which differ between firmware versions
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        for (;;) {
+            const start = this.buffer.indexOf(JPEG_START);
+            if (start === -1) {
+                // Keep a trailing 0xff, it may be the first half of the next marker
+                this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - 1));
+                return;
+            }
+            const end = this.buffer.indexOf(JPEG_END, start + JPEG_START.length);
+            if (end === -1) {
+                this.buffer = this.buffer.subarray(start);
+                if (this.buffer.length > MAX_FRAME_BYTES) this.buffer = Buffer.alloc(0);
+                return;
+            }
+            // Copied, so the frame doesn't pin the whole receive buffer
+            this.onFrame(Buffer.from(this.buffer.subarray(start, end + JPEG_END.length)));
+            this.buffer = this.buffer.subarray(end + JPEG_END.length);
+        }
+    }
+
+    onFrame(frame) {
+        this.frame = frame;
+        this.frameAt = Date.now();
+        for (const viewer of this.viewers) this.sendFrame(viewer, frame);
+        for (const waiter of this.waiters) {
+            clearTimeout(waiter.timer);
+            waiter.resolve(frame);
+        }
+        this.waiters.clear();
+        this.scheduleClose();
+    }
+
+    sendFrame(viewer, frame) {
+        const { res } = viewer;
+        if (!viewer.started) {
+            res.writeHead(200, {
+                'Content-Type': `multipart/x-mixed-replace; boundary=${BOUNDARY}`,
+                'Cache-Control': 'no-cache, no-store',
+                Pragma: 'no-cache',
+            });
+            viewer.started = true;
+        }
+        // Slow viewers skip frames instead of holding the others back
+        if (res.writableNeedDrain) return;
+        res.write(`--${BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`);
+        res.write(frame);
+        res.write('\r\n');
+    }
+
+    fail(request, error) {
+        if (this.request !== request) return;
+        this.close();
+        this.frame = null;
+        for (const viewer of this.viewers) {
+            if (viewer.started) viewer.res.end();
+            else viewer.onError(error);
+        }
+        this.viewers.clear();
+        for (const waiter of this.waiters) {
+            clearTimeout(waiter.timer);
+            waiter.reject(error);
+        }
+        this.waiters.clear();
+    }
+
+    scheduleClose() {
+        if (this.viewers.size || this.waiters.size || this.idleTimer || !this.request) return;
+        this.idleTimer = setTimeout(() => this.close(), IDLE_CLOSE_MS);
+        this.idleTimer.unref();
+    }
+
+    close() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        const request = this.request;
+        this.request = null;
+        this.buffer = Buffer.alloc(0);
+        if (request) request.destroy();
+    }
+}
+
+// One relay per camera URL, shared by every route
+const relays = new Map(); // url -> CameraRelay
+
+function getCameraRelay(url, options = {}) {
+    let relay = relays.get(url);
+    if (!relay) {
+        relay = new CameraRelay(url, options);
+        relays.set(url, relay);
+    }
+    return relay;
+}
+
+function closeAllCameraRelays() {
+    for (const relay of relays.values()) {
+        relay.close();
+    }
+    relays.clear();
+}
+
+module.exports = {
+    CAMERA_PORT,
+    CameraRelay,
+    defaultCameraUrl,
+    getCameraRelay,
+    closeAllCameraRelays,
+};
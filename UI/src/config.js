@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { PRIVATE_RANGES } = require('./target-policy');
+
+// Server settings live in an optional JSON file next to server.js (or wherever
+// CONFIG_PATH points). Anything missing falls back to these defaults.
+const CONFIG_PATH = process.env.CONFIG_PATH || path.join(__dirname, '..', 'config.json');
+
+const DEFAULTS = {
+    // Where the server keeps its own state (printer registry, history, ...)
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+    // TCP port for printers addressed by IP or hostname, and for saved printers without one
+    printerPort: parseInt(process.env.PRINTER_PORT || '8899', 10),
+    // Port of the JSON API of printers saved with a serial number and check code
+    httpApiPort: parseInt(process.env.HTTP_API_PORT || '8898', 10),
+    // Runs the built-in printer simulator and adds it to the saved printers,
+    // to try the UI without hardware (see src/printer-simulator.js)
+    demo: {
+        enabled: process.env.DEMO === '1',
+        model: 'adventurer5m',
+        port: 8899,
+        speed: 1,
+    },
+    // Registered printers are polled in the background even when nobody has a
+    // dashboard open, so print history and metrics keep being recorded
+    monitor: {
+        enabled: true,
+        intervalMs: 5000,
+        // Extra printer addresses to poll besides the registered ones
+        printers: [],
+    },
+    telemetry: {
+        // How long the one minute temperature/progress buckets are kept
+        retentionHours: 48,
+    },
+    // A camera frame per layer of every print (or every intervalSeconds when the
+    // printer doesn't report layers), under <dataDir>/timelapses
+    timelapse: {
+        enabled: true,
+        intervalSeconds: 30,
+        // Older timelapses of a printer are deleted beyond either limit
+        maxPerPrinter: 20,
+        maxMegabytesPerPrinter: 1024,
+    },
+    // Hosts the server may connect to besides the saved printers: CIDR ranges,
+    // local networks by default. An empty list allows saved printers only.
+    targets: {
+        allow: PRIVATE_RANGES,
+    },
+    // Per client (remote address) limits on WebSocket requests that poll printers
+    // and on login attempts, which would otherwise allow guessing API keys
+    rateLimit: {
+        snapshotsPerMinute: 60,
+        subscribesPerMinute: 120,
+        loginsPerMinute: 10,
+    },
+    // Optional API keys: [{ name, key, role }] with role viewer (read and
+    // subscribe), operator (also pause/resume/LED/home/move/temperatures) or
+    // admin (everything). Without auth.enabled anyone may do anything.
+    auth: {
+        enabled: false,
+        keys: [],
+        // How long a UI login lasts
+        sessionHours: 168,
+    },
+    // Optional MQTT publisher with Home Assistant discovery
+    mqtt: {
+        enabled: false,
+        url: 'mqtt://localhost:1883',
+        username: '',
+        password: '',
+        baseTopic: 'flashforge',
+        discoveryPrefix: 'homeassistant',
+    },
+    // Outgoing webhooks: [{ id, url, events, printers, headers, body, retries, backoffMs }]
+    webhooks: [],
+    gcode: {
+        // When non-empty, only these commands may be sent from the console
+        allow: [],
+        // Never sent from the console: EEPROM writes, factory reset, firmware
+        // updates, raw file writes (use the upload route instead) and taking or
+        // releasing control, which the shared session keeps track of itself
+        deny: ['M500', 'M502', 'M997', 'M28', 'M29', 'M601', 'M602'],
+    },
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(defaults, overrides) {
+    const result = { ...defaults };
+    for (const [key, value] of Object.entries(overrides || {})) {
+        result[key] = isPlainObject(value) && isPlainObject(defaults[key]) ? merge(defaults[key], value) : value;
+    }
+    return result;
+}
+
+function loadConfig(configPath = CONFIG_PATH) {
+    if (!fs.existsSync(configPath)) return merge(DEFAULTS, {});
+    try {
+        return merge(DEFAULTS, JSON.parse(fs.readFileSync(configPath, 'utf8')));
+    } catch (e) {
+        throw new Error(`Could not read config file ${configPath}: ${e.message}`);
+    }
+}
+
+const config = loadConfig();
+
+module.exports = {
+    CONFIG_PATH,
+    config,
+    loadConfig,
+};
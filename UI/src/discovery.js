@@ -0,0 +1,91 @@
+const dgram = require('dgram');
+const os = require('os');
+
+// FlashForge printers answer this probe (the "www.usr" discovery packet of
+// their WiFi module) on UDP 48899 with a fixed size record holding the
+// machine name and, on newer firmware, the serial number.
+const DISCOVERY_PORT = 48899;
+const DISCOVERY_PROBE = Buffer.from([
+    0x77, 0x77, 0x77, 0x2e, 0x75, 0x73, 0x72, 0x22, 0x65, 0x36,
+    0xc0, 0xa8, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+]);
+const NAME_OFFSET = 0x00;
+const SERIAL_OFFSET = 0x92;
+const FIELD_LENGTH = 32;
+
+const DEFAULT_WINDOW_MS = 3000;
+
+function readField(buffer, offset) {
+    if (buffer.length < offset + 1) return null;
+    const raw = buffer.subarray(offset, Math.min(buffer.length, offset + FIELD_LENGTH));
+    const end = raw.indexOf(0);
+    const value = raw.subarray(0, end === -1 ? raw.length : end).toString('utf8').trim();
+    return value || null;
+}
+
+function parseReply(buffer, address) {
+    return {
+        ip: address,
+        name: readField(buffer, NAME_OFFSET),
+        serialNumber: buffer.length >= SERIAL_OFFSET + FIELD_LENGTH ? readField(buffer, SERIAL_OFFSET) : null,
+    };
+}
+
+// 255.255.255.255 is often not routed out of containers, so also probe the
+// directed broadcast address of every IPv4 interface.
+function broadcastAddresses() {
+    const addresses = new Set(['255.255.255.255']);
+    for (const entries of Object.values(os.networkInterfaces())) {
+        for (const entry of entries || []) {
+            if (entry.family !== 'IPv4' || entry.internal) continue;
+            const ip = entry.address.split('.').map(Number);
+            const mask = entry.netmask.split('.').map(Number);
+            addresses.add(ip.map((part, i) => (part | (~mask[i] & 255))).join('.'));
+        }
+    }
+    return [...addresses];
+}
+
+// Broadcast the probe and collect one entry per responding printer until the window closes
+function discoverPrinters(windowMs = DEFAULT_WINDOW_MS) {
+    return new Promise((resolve, reject) => {
+        const found = new Map(); // ip -> printer
+        const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        let timer = null;
+        let closed = false;
+
+        // An error after bind ends the window early, the socket is closed only once
+        const close = () => {
+            if (closed) return false;
+            closed = true;
+            clearTimeout(timer);
+            socket.close();
+            return true;
+        };
+
+        socket.on('message', (message, rinfo) => {
+            if (!found.has(rinfo.address)) {
+                found.set(rinfo.address, parseReply(message, rinfo.address));
+            }
+        });
+        socket.on('error', (err) => {
+            if (close()) reject(err);
+        });
+
+        socket.bind(() => {
+            if (closed) return;
+            socket.setBroadcast(true);
+            for (const address of broadcastAddresses()) {
+                socket.send(DISCOVERY_PROBE, DISCOVERY_PORT, address, () => {});
+            }
+            timer = setTimeout(() => {
+                if (close()) resolve([...found.values()]);
+            }, windowMs);
+        });
+    });
+}
+
+module.exports = {
+    DISCOVERY_PORT,
+    discoverPrinters,
+};
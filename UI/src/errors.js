@@ -0,0 +1,81 @@
+// Base class for failures that should be reported to API callers with a
+// specific HTTP status and a machine-readable code instead of a generic 500.
+class ApiError extends Error {
+    constructor(message, status = 500, code = 'INTERNAL_ERROR') {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// The request itself is malformed or asks for something that is not allowed
+class ValidationError extends ApiError {
+    constructor(message) {
+        super(message, 400, 'INVALID_REQUEST');
+    }
+}
+
+// The requested resource does not exist (on the server or on the printer)
+class NotFoundError extends ApiError {
+    constructor(message) {
+        super(message, 404, 'NOT_FOUND');
+    }
+}
+
+// The caller has not logged in or sent a valid API key
+class UnauthorizedError extends ApiError {
+    constructor(message = 'Log in or send an API key') {
+        super(message, 401, 'UNAUTHORIZED');
+    }
+}
+
+// The request is understood but refused by server policy
+class ForbiddenError extends ApiError {
+    constructor(message, code = 'FORBIDDEN') {
+        super(message, 403, code);
+    }
+}
+
+// The printer is in a state where the request cannot be carried out safely
+class ConflictError extends ApiError {
+    constructor(message) {
+        super(message, 409, 'PRINTER_BUSY');
+    }
+}
+
+// The client sent more requests than it may in a given time
+class TooManyRequestsError extends ApiError {
+    constructor(message, retryAfter) {
+        super(message, 429, 'RATE_LIMITED');
+        this.retryAfter = retryAfter;
+    }
+}
+
+// The printer answered, but the reply reports that the command failed
+class PrinterCommandError extends ApiError {
+    constructor(message, reply) {
+        super(message, 502, 'PRINTER_COMMAND_FAILED');
+        this.reply = reply;
+    }
+}
+
+// The connection ended or timed out before the reply was complete
+class TruncatedResponseError extends ApiError {
+    constructor(message, partial) {
+        super(message, 502, 'TRUNCATED_RESPONSE');
+        this.partial = partial;
+    }
+}
+
+module.exports = {
+    ApiError,
+    ValidationError,
+    NotFoundError,
+    UnauthorizedError,
+    ForbiddenError,
+    ConflictError,
+    TooManyRequestsError,
+    PrinterCommandError,
+    TruncatedResponseError,
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { PROTOCOL_COMMANDS } = require('./protocol');
+const { ValidationError } = require('./errors');
+const { forgetThumbnail } = require('./printer-files');
+const { crc32 } = require('./crc32');
+
+// After M28 the firmware expects the file as fixed size packets:
+// magic, packet index, payload length and CRC32 (all big endian u32),
+// followed by a zero padded 4 KiB payload.
+const PACKET_MAGIC = 0x5a5aa5a5;
+const PACKET_HEADER_SIZE = 16;
+const PACKET_DATA_SIZE = 4096;
+
+const UPLOAD_EXTENSIONS = ['.gx', '.gcode', '.g'];
+
+// M29 can take a while on slow internal storage
+const END_UPLOAD_TIMEOUT_MS = 30000;
+
+function buildPacket(index, data) {
+    const packet = Buffer.alloc(PACKET_HEADER_SIZE + PACKET_DATA_SIZE);
+    packet.writeUInt32BE(PACKET_MAGIC, 0);
+    packet.writeUInt32BE(index, 4);
+    packet.writeUInt32BE(data.length, 8);
+    packet.writeUInt32BE(crc32(data), 12);
+    data.copy(packet, PACKET_HEADER_SIZE);
+    return packet;
+}
+
+// File names end up inside a G-code line, so keep them to one plain path segment
+function sanitizeFileName(name) {
+    const fileName = path.basename(String(name || '')).replace(/[\x00-\x1f\x7f]/g, '').trim();
+    if (!fileName || fileName.startsWith('.')) {
+        throw new ValidationError('A file name is required');
+    }
+    if (!UPLOAD_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+        throw new ValidationError(`Only ${UPLOAD_EXTENSIONS.join(', ')} files can be sent to the printer`);
+    }
+    return fileName;
+}
+
+// Stream a local file to the printer (M28, data packets, M29) and optionally
+// start printing it. onProgress(bytesSent, bytesTotal) is called whenever the
+// whole percentage changes.
+async function uploadFile(session, { filePath, size, fileName, startPrint = false, onProgress = () => {} }) {
+    return session.transaction(async (io) => {
+        await io.send(PROTOCOL_COMMANDS.beginUpload(size, fileName));
+
+        let index = 0;
+        let sent = 0;
+        let lastPercentage = -1;
+        let pending = Buffer.alloc(0);
+        const sendPacket = async (data) => {
+            await io.write(buildPacket(index++, data));
+            sent += data.length;
+            const percentage = size === 0 ? 100 : Math.floor((sent / size) * 100);
+            if (percentage !== lastPercentage) {
+                lastPercentage = percentage;
+                onProgress(sent, size);
+            }
+        };
+
+        for await (const chunk of fs.createReadStream(filePath, { highWaterMark: PACKET_DATA_SIZE * 16 })) {
+            pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+            while (pending.length >= PACKET_DATA_SIZE) {
+                await sendPacket(pending.subarray(0, PACKET_DATA_SIZE));
+                pending = pending.subarray(PACKET_DATA_SIZE);
+            }
+        }
+        if (pending.length) await sendPacket(pending);
+
+        // Some firmware acknowledges packets, so wait for the M29 reply specifically
+        await io.send(PROTOCOL_COMMANDS.endUpload(), {
+            terminator: /M29 Received[\s\S]*?\nok\r?\n/,
+            timeoutMs: END_UPLOAD_TIMEOUT_MS,
+        });
+
+        // A replaced file may carry a different preview
+        forgetThumbnail(session, fileName);
+
+        if (startPrint) {
+            await io.send(PROTOCOL_COMMANDS.printFile(fileName));
+        }
+        return { fileName, bytes: sent, printing: startPrint };
+    });
+}
+
+module.exports = {
+    UPLOAD_EXTENSIONS,
+    sanitizeFileName,
+    uploadFile,
+};
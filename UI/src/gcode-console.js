@@ -0,0 +1,54 @@
+const { ValidationError, ForbiddenError } = require('./errors');
+
+const MAX_COMMAND_LENGTH = 256;
+
+// Turn console input such as "m105" or "~M105" into a single protocol line
+function normalizeCommand(input) {
+    const text = String(input || '').trim();
+    if (!text) throw new ValidationError('Command is empty');
+    if (/[\r\n]/.test(text)) throw new ValidationError('Send one command at a time');
+    if (text.length > MAX_COMMAND_LENGTH) throw new ValidationError(`Commands are limited to ${MAX_COMMAND_LENGTH} characters`);
+
+    const body = text.replace(/^~/, '');
+    if (!/^[GM]\d+(\s|$)/i.test(body)) {
+        throw new ValidationError('Only G and M codes can be sent');
+    }
+    return `~${body.charAt(0).toUpperCase()}${body.slice(1)}\r\n`;
+}
+
+// A G/M code without leading zeros, e.g. "m028" -> "M28", so the firmware
+// reading both alike can't be used to slip past the policy
+function canonicalCode(code) {
+    const match = /^([GM])(\d+)$/i.exec(String(code).trim());
+    return match ? `${match[1].toUpperCase()}${parseInt(match[2], 10)}` : String(code).trim().toUpperCase();
+}
+
+// The G/M code of a normalized command, e.g. "M105"
+function commandCode(command) {
+    return canonicalCode(command.slice(1).split(/\s/)[0]);
+}
+
+function checkPolicy(command, policy) {
+    const code = commandCode(command);
+    const allow = (policy.allow || []).map(canonicalCode);
+    const deny = (policy.deny || []).map(canonicalCode);
+    if (deny.includes(code) || (allow.length && !allow.includes(code))) {
+        throw new ForbiddenError(`${code} is not allowed from the console`, 'COMMAND_DENIED');
+    }
+}
+
+// Validate a console command against the allow/deny policy and send it through
+// the printer's session. onChunk receives raw reply text as it arrives.
+async function runConsoleCommand(session, input, policy, onChunk) {
+    const command = normalizeCommand(input);
+    checkPolicy(command, policy);
+    const response = await session.send(command, {
+        onChunk: onChunk && ((chunk) => onChunk(chunk.toString())),
+    });
+    return { command: command.trim(), response };
+}
+
+module.exports = {
+    normalizeCommand,
+    runConsoleCommand,
+};
@@ -0,0 +1,169 @@
+const { PrinterCommandError, ConflictError } = require('./errors');
+
+// The Adventurer 5M series and AD5X also serve a JSON API next to the 8899
+// dialect. Every request is a POST carrying the printer's serial number and the
+// check code shown on its screen; replies look like { code: 0, message, ... }.
+const HTTP_API_PORT = 8898;
+const REQUEST_TIMEOUT_MS = 5000;
+
+// /detail "status" -> the M119 MachineStatus/MoveMode the rest of the server understands
+const STATUS_MAP = {
+    ready: ['READY', 'READY'],
+    busy: ['BUSY', 'READY'],
+    calibrate_doing: ['BUSY', 'READY'],
+    heating: ['BUILDING_FROM_SD', 'MOVING'],
+    printing: ['BUILDING_FROM_SD', 'MOVING'],
+    pausing: ['PAUSED', 'PAUSED'],
+    paused: ['PAUSED', 'PAUSED'],
+    cancel: ['READY', 'READY'],
+    completed: ['COMPLETED', 'READY'],
+    error: ['ERROR', 'READY'],
+};
+
+// Control actions the JSON API can carry out, the rest still go over 8899
+const CONTROL_PAYLOADS = {
+    pause: () => ({ cmd: 'jobCtl_cmd', args: { jobID: '', action: 'pause' } }),
+    resume: () => ({ cmd: 'jobCtl_cmd', args: { jobID: '', action: 'continue' } }),
+    cancel: () => ({ cmd: 'jobCtl_cmd', args: { jobID: '', action: 'cancel' } }),
+    led: (body) => ({ cmd: 'lightControl_cmd', args: { status: body.state === 'off' ? 'close' : 'open' } }),
+};
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+class HttpApiClient {
+    constructor(host, { serialNumber, checkCode, port = HTTP_API_PORT, timeoutMs = REQUEST_TIMEOUT_MS, fetch: fetchImpl = fetch } = {}) {
+        this.host = host;
+        this.port = port;
+        this.timeoutMs = timeoutMs;
+        this.serialNumber = serialNumber;
+        this.checkCode = checkCode;
+        this.fetch = fetchImpl;
+    }
+
+    async request(route, extra = {}) {
+        let response;
+        try {
+            response = await this.fetch(`http://${this.host}:${this.port}${route}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ serialNumber: this.serialNumber, checkCode: this.checkCode, ...extra }),
+                signal: AbortSignal.timeout(this.timeoutMs),
+            });
+        } catch (e) {
+            const reason = e.name === 'TimeoutError' ? `timed out after ${this.timeoutMs} ms` : e.cause?.code || e.message;
+            throw new PrinterCommandError(`HTTP API ${route} failed: ${reason}`);
+        }
+        const data = await response.json().catch(() => null);
+        if (!response.ok || !data) throw new PrinterCommandError(`HTTP API ${route} answered HTTP ${response.status}`);
+        // A wrong serial number or check code also comes back as a non-zero code
+        if (data.code !== 0) throw new PrinterCommandError(`HTTP API ${route}: ${data.message || `code ${data.code}`}`, data);
+        return data;
+    }
+
+    async detail() {
+        return (await this.request('/detail')).detail || {};
+    }
+
+    async product() {
+        return (await this.request('/product')).product || {};
+    }
+
+    supports(action) {
+        return !!CONTROL_PAYLOADS[action];
+    }
+
+    async control(action, body = {}) {
+        if (action === 'led') {
+            // Not every model has a controllable light
+            const product = await this.product();
+            if (product.lightCtrlState === 0) throw new ConflictError('This printer has no controllable light');
+        }
+        const data = await this.request('/control', { payload: CONTROL_PAYLOADS[action](body) });
+        return data.message || 'Success';
+    }
+}
+
+// Map a /detail reply onto the snapshot shape of the 8899 dialect. What the
+// G-code replies don't have (chamber, fans, filament, camera) goes in extended.
+function mapDetail(detail, serialNumber) {
+    const [machineStatus, moveMode] = STATUS_MAP[detail.status] || [String(detail.status || '').toUpperCase(), 'READY'];
+    const active = ['heating', 'printing', 'pausing', 'paused'].includes(detail.status);
+    const volume = String(detail.measure || '').split(/x/i).map(toNumber);
+    const twoNozzles = detail.nozzleCnt > 1;
+    const remaining = toNumber(detail.estimatedTime);
+
+    const info = {
+        Type: detail.model ? `Flashforge ${detail.model}` : undefined,
+        Name: detail.name,
+        Firmware: detail.firmwareVersion,
+        SN: serialNumber,
+        'Tool Count': detail.nozzleCnt || 1,
+        'Mac Address': detail.macAddr,
+    };
+    if (volume.length === 3 && volume.every((v) => v !== null)) {
+        [info.BuildVolumeX, info.BuildVolumeY, info.BuildVolumeZ] = volume;
+    }
+    for (const key of Object.keys(info)) {
+        if (info[key] === undefined || info[key] === null || info[key] === '') delete info[key];
+    }
+
+    return {
+        info,
+        // The JSON API doesn't report the head position
+        headLocation: {},
+        temperatures: {
+            Temperature: toNumber(detail.leftTemp),
+            TargetTemperature: toNumber(detail.leftTargetTemp),
+            T1Temperature: twoNozzles ? toNumber(detail.rightTemp) : null,
+            T1TargetTemperature: twoNozzles ? toNumber(detail.rightTargetTemp) : null,
+            BedTemperature: toNumber(detail.platTemp),
+            BedTargetTemperature: toNumber(detail.platTargetTemp),
+        },
+        progress: {
+            BytesPrinted: 0,
+            BytesTotal: 0,
+            PercentageCompleted: active ? Math.floor((toNumber(detail.printProgress) || 0) * 100) : 0,
+            LayerCurrent: active ? toNumber(detail.printLayer) : null,
+            LayerTotal: active ? toNumber(detail.targetPrintLayer) : null,
+            // The printer's own estimate, it knows the sliced print time
+            ElapsedSeconds: active ? toNumber(detail.printDuration) : null,
+            RemainingSeconds: active ? remaining : null,
+            EstimatedCompletion: active && remaining !== null && detail.status !== 'paused' && detail.status !== 'pausing'
+                ? new Date(Date.now() + remaining * 1000).toISOString()
+                : null,
+        },
+        status: {
+            MachineStatus: machineStatus,
+            MoveMode: moveMode,
+            Status: {},
+            Endstop: {},
+            LED: detail.lightStatus === undefined ? null : detail.lightStatus === 'open',
+            CurrentFile: active && detail.printFileName ? detail.printFileName.split('/').pop() : null,
+        },
+        extended: {
+            chamberTemperature: toNumber(detail.chamberTemp),
+            chamberTargetTemperature: toNumber(detail.chamberTargetTemp),
+            coolingFanSpeed: toNumber(detail.coolingFanSpeed),
+            chamberFanSpeed: toNumber(detail.chamberFanSpeed),
+            externalFan: detail.externalFanStatus === undefined ? null : detail.externalFanStatus === 'open',
+            internalFan: detail.internalFanStatus === undefined ? null : detail.internalFanStatus === 'open',
+            doorOpen: detail.doorStatus === undefined ? null : detail.doorStatus === 'open',
+            printSpeedAdjust: toNumber(detail.printSpeedAdjust),
+            filament: {
+                estimatedLength: toNumber(detail.estimatedRightLen),
+                estimatedWeight: toNumber(detail.estimatedRightWeight),
+            },
+            cameraUrl: detail.cameraStreamUrl || null,
+            errorCode: detail.errorCode || null,
+        },
+    };
+}
+
+module.exports = {
+    HTTP_API_PORT,
+    HttpApiClient,
+    mapDetail,
+};
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+const OUTCOMES = ['completed', 'cancelled', 'failed'];
+
+const CSV_COLUMNS = [
+    'id', 'printerId', 'printerName', 'host', 'file', 'startedAt', 'endedAt',
+    'durationSeconds', 'pausedSeconds', 'pauses', 'percentage', 'layerCurrent', 'layerTotal', 'outcome',
+];
+
+function parseDate(value, name) {
+    if (value === undefined || value === '') return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new ValidationError(`${name} must be a date, e.g. 2024-05-01 or an ISO timestamp`);
+    return time;
+}
+
+// Turn query string filters into a predicate over job records
+function buildFilter(query = {}) {
+    const printers = query.printer ? String(query.printer).split(',') : null;
+    const outcomes = query.outcome ? String(query.outcome).split(',') : null;
+    for (const outcome of outcomes || []) {
+        if (!OUTCOMES.includes(outcome)) throw new ValidationError(`outcome must be one of ${OUTCOMES.join(', ')}`);
+    }
+    const from = parseDate(query.from, 'from');
+    let to = parseDate(query.to, 'to');
+    // A bare date means "up to the end of that day"
+    if (to !== null && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) to += 24 * 60 * 60 * 1000 - 1;
+
+    return (record) => {
+        if (printers && !printers.includes(record.printerId)) return false;
+        if (outcomes && !outcomes.includes(record.outcome)) return false;
+        const started = Date.parse(record.startedAt);
+        if (from !== null && started < from) return false;
+        if (to !== null && started > to) return false;
+        return true;
+    };
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Spreadsheets run text such as =HYPERLINK(...) as a formula. File and
+    // printer names come from users and printers, so they are kept as text.
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const record of records) {
+        lines.push(CSV_COLUMNS.map((column) => csvValue(record[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+// Finished print jobs, one JSON record per line so appending never rewrites the file
+class JobHistory {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    append(record) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+    }
+
+    all() {
+        if (!fs.existsSync(this.filePath)) return [];
+        const records = [];
+        for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch (e) {
+                // Skip a line cut short by a crash mid-write
+            }
+        }
+        return records;
+    }
+
+    // Newest first
+    query(query = {}) {
+        const filter = buildFilter(query);
+        const records = this.all().filter(filter).reverse();
+        const limit = query.limit ? parseInt(query.limit, 10) : null;
+        if (limit !== null && (!Number.isInteger(limit) || limit < 1)) throw new ValidationError('limit must be a positive number');
+        return limit ? records.slice(0, limit) : records;
+    }
+}
+
+module.exports = {
+    OUTCOMES,
+    JobHistory,
+    toCsv,
+};
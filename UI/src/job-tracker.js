@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { machineState, isJobActive } = require('./reply-parser');
+
+function currentFileName(status = {}) {
+    return String(status.CurrentFile || '').trim().split('/').pop();
+}
+
+// Follows each printer's jobs through successive snapshots and reports
+// lifecycle events. Jobs in progress are saved to disk, so a restart of the
+// server doesn't lose their start time.
+class JobTracker {
+    constructor(filePath, { onEvent = () => {}, onFinished = () => {} } = {}) {
+        this.filePath = filePath;
+        this.onEvent = onEvent;
+        this.onFinished = onFinished;
+        this.active = new Map(); // printer ref -> job in progress
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+        for (const job of JSON.parse(fs.readFileSync(this.filePath, 'utf8'))) {
+            this.active.set(job.printerId, job);
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmp = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify([...this.active.values()], null, 2));
+        fs.renameSync(tmp, this.filePath);
+    }
+
+    current(printerId) {
+        return this.active.get(printerId) || null;
+    }
+
+    // Feed one snapshot of a printer; printer is the registry entry, if any
+    update(printerId, snapshot, printer = null) {
+        // Without a status reply we know nothing, keep the job as it is
+        if ((snapshot.errors || []).some((e) => e.step === 'STATUS')) return;
+
+        const state = machineState(snapshot.status, snapshot.temperatures);
+        const time = snapshot.timestamp || new Date().toISOString();
+        const file = currentFileName(snapshot.status);
+        let job = this.active.get(printerId);
+
+        if (job && isJobActive(state) && file && job.file && file !== job.file) {
+            // A new file started before we ever saw the printer idle
+            this.finish(job, job.percentage >= 100 ? 'completed' : 'cancelled', time);
+            job = null;
+        }
+
+        if (!job) {
+            if (!isJobActive(state)) return;
+            job = {
+                id: crypto.randomUUID(),
+                printerId,
+                printerName: printer ? printer.name : printerId,
+                host: printer ? printer.host : printerId,
+                file,
+                startedAt: time,
+                pausedAt: null,
+                pausedMs: 0,
+                pauses: 0,
+                percentage: 0,
+                layerCurrent: null,
+                layerTotal: null,
+            };
+            this.active.set(printerId, job);
+            this.track(job, snapshot);
+            this.save();
+            this.onEvent('started', { ...job });
+            if (state === 'paused') this.pause(job, time);
+            return;
+        }
+
+        this.track(job, snapshot);
+        if (state === 'paused' && !job.pausedAt) {
+            this.pause(job, time);
+        } else if ((state === 'printing' || state === 'heating') && job.pausedAt) {
+            job.pausedMs += Date.parse(time) - Date.parse(job.pausedAt);
+            job.pausedAt = null;
+            this.save();
+            this.onEvent('resumed', { ...job });
+        } else if (state === 'completed') {
+            this.finish(job, 'completed', time);
+        } else if (state === 'error') {
+            this.finish(job, 'failed', time);
+        } else if (state === 'idle') {
+            // Firmware that never reports COMPLETED goes straight back to READY
+            const done = job.percentage >= 100 || (job.layerTotal && job.layerCurrent >= job.layerTotal);
+            this.finish(job, done ? 'completed' : 'cancelled', time);
+        }
+    }
+
+    track(job, snapshot) {
+        const progress = snapshot.progress || {};
+        // The firmware resets progress as soon as a print ends, so keep the highest value seen
+        if (progress.PercentageCompleted > job.percentage) job.percentage = progress.PercentageCompleted;
+        if (progress.LayerCurrent != null && progress.LayerCurrent >= (job.layerCurrent || 0)) job.layerCurrent = progress.LayerCurrent;
+        if (progress.LayerTotal) job.layerTotal = progress.LayerTotal;
+        if (!job.file) job.file = currentFileName(snapshot.status);
+    }
+
+    pause(job, time) {
+        job.pausedAt = time;
+        job.pauses += 1;
+        this.save();
+        this.onEvent('paused', { ...job });
+    }
+
+    finish(job, outcome, time) {
+        const pausedMs = job.pausedMs + (job.pausedAt ? Date.parse(time) - Date.parse(job.pausedAt) : 0);
+        const durationMs = Date.parse(time) - Date.parse(job.startedAt);
+        const record = {
+            id: job.id,
+            printerId: job.printerId,
+            printerName: job.printerName,
+            host: job.host,
+            file: job.file,
+            startedAt: job.startedAt,
+            endedAt: time,
+            durationSeconds: Math.round(durationMs / 1000),
+            pausedSeconds: Math.round(pausedMs / 1000),
+            pauses: job.pauses,
+            percentage: outcome === 'completed' ? 100 : job.percentage,
+            layerCurrent: job.layerCurrent,
+            layerTotal: job.layerTotal,
+            outcome,
+        };
+        this.active.delete(job.printerId);
+        this.save();
+        this.onEvent(outcome, record);
+        this.onEvent('finished', record);
+        this.onFinished(record);
+    }
+
+    // A printer was removed from the registry
+    forget(printerId) {
+        if (this.active.delete(printerId)) this.save();
+    }
+}
+
+module.exports = {
+    JobTracker,
+};
@@ -0,0 +1,71 @@
+const { PROTOCOL_COMMANDS } = require('./protocol');
+const { ValidationError, ConflictError } = require('./errors');
+
+const AXES = ['X', 'Y', 'Z'];
+const DEFAULT_FEED_RATE = 3000; // mm/min
+const MAX_FEED_RATE = 12000;
+
+// M119 MachineStatus values reported while a job owns the motion system
+const JOB_STATUSES = /BUILDING|PRINTING|PAUSED/i;
+
+function assertIdle(status) {
+    if (JOB_STATUSES.test(status.MachineStatus || '')) {
+        throw new ConflictError(`Cannot move the head while the printer is ${status.MachineStatus}`);
+    }
+}
+
+function readNumber(value, label) {
+    const number = Number(value);
+    if (value === '' || value === null || typeof value === 'boolean' || !Number.isFinite(number)) {
+        throw new ValidationError(`${label} must be a number`);
+    }
+    return number;
+}
+
+// Validate a move against the build volume and build the G90/G91 + G1 commands.
+// body: { mode: 'relative' | 'absolute', x?, y?, z?, feedRate? } in mm and mm/min.
+// position is the current M114 head location, needed to check relative jogs.
+function buildMoveCommands(body, buildVolume, position) {
+    const { mode = 'relative', feedRate = DEFAULT_FEED_RATE } = body || {};
+    if (mode !== 'relative' && mode !== 'absolute') {
+        throw new ValidationError('mode must be "relative" or "absolute"');
+    }
+
+    const feed = readNumber(feedRate, 'feedRate');
+    if (feed <= 0 || feed > MAX_FEED_RATE) {
+        throw new ValidationError(`feedRate must be between 1 and ${MAX_FEED_RATE} mm/min`);
+    }
+
+    const axes = {};
+    for (const axis of AXES) {
+        const value = body[axis.toLowerCase()];
+        if (value === undefined) continue;
+        const amount = readNumber(value, axis);
+        const limit = Number(buildVolume[axis]);
+        if (!Number.isFinite(limit)) {
+            throw new ValidationError(`Build volume for ${axis} is unknown, refusing to move`);
+        }
+        const target = mode === 'relative' ? Number(position[axis]) + amount : amount;
+        if (!Number.isFinite(target)) {
+            throw new ValidationError(`Current ${axis} position is unknown, refusing to jog`);
+        }
+        if (target < 0 || target > limit) {
+            throw new ValidationError(`${axis} target ${+target.toFixed(2)} mm is outside the build volume (0-${limit} mm)`);
+        }
+        axes[axis] = +amount.toFixed(3);
+    }
+    if (!Object.keys(axes).length) {
+        throw new ValidationError('Provide at least one of x, y or z');
+    }
+
+    const commands = mode === 'relative'
+        // Jogs switch back to absolute positioning so later commands behave as expected
+        ? [PROTOCOL_COMMANDS.relativePositioning(), PROTOCOL_COMMANDS.linearMove(axes, Math.round(feed)), PROTOCOL_COMMANDS.absolutePositioning()]
+        : [PROTOCOL_COMMANDS.absolutePositioning(), PROTOCOL_COMMANDS.linearMove(axes, Math.round(feed))];
+    return { commands, axes, mode };
+}
+
+module.exports = {
+    assertIdle,
+    buildMoveCommands,
+};
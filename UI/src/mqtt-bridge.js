@@ -0,0 +1,221 @@
+const mqtt = require('mqtt');
+const { machineState } = require('./reply-parser');
+
+// Button entities and the command payloads they publish
+const BUTTONS = {
+    pause: 'Pause',
+    resume: 'Resume',
+    cancel: 'Cancel print',
+    home: 'Home axes',
+};
+
+const SENSORS = [
+    { key: 'nozzle_temperature', name: 'Nozzle temperature', unit: '°C', deviceClass: 'temperature' },
+    { key: 'nozzle_target', name: 'Nozzle target', unit: '°C', deviceClass: 'temperature' },
+    { key: 'bed_temperature', name: 'Bed temperature', unit: '°C', deviceClass: 'temperature' },
+    { key: 'bed_target', name: 'Bed target', unit: '°C', deviceClass: 'temperature' },
+    { key: 'progress', name: 'Progress', unit: '%' },
+    { key: 'layer', name: 'Layer' },
+    { key: 'layer_total', name: 'Total layers' },
+    { key: 'status', name: 'Status' },
+    { key: 'current_file', name: 'Current file' },
+];
+
+// Topic levels and Home Assistant object ids only allow a plain character set
+function nodeId(ref) {
+    return String(ref).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+function statePayload(snapshot) {
+    const temps = snapshot.temperatures || {};
+    const progress = snapshot.progress || {};
+    const status = snapshot.status || {};
+    return {
+        status: machineState(status, temps),
+        machine_status: status.MachineStatus || null,
+        nozzle_temperature: toNumber(temps.Temperature),
+        nozzle_target: toNumber(temps.TargetTemperature),
+        bed_temperature: toNumber(temps.BedTemperature),
+        bed_target: toNumber(temps.BedTargetTemperature),
+        progress: toNumber(progress.PercentageCompleted),
+        layer: toNumber(progress.LayerCurrent),
+        layer_total: toNumber(progress.LayerTotal),
+        current_file: status.CurrentFile || null,
+        led: status.LED ? 'ON' : 'OFF',
+        timestamp: snapshot.timestamp,
+    };
+}
+
+// Publishes polled snapshots to <baseTopic>/<printer>/state, announces every
+// printer to Home Assistant through MQTT discovery and turns messages on
+// <baseTopic>/<printer>/command and <baseTopic>/<printer>/led/set into printer
+// commands. runControl(ref, action, body) is the same helper the REST routes use.
+class MqttBridge {
+    constructor(options, { runControl, connect = mqtt.connect }) {
+        this.options = options;
+        this.runControl = runControl;
+        this.connect = connect;
+        this.client = null;
+        this.printers = new Map(); // node id -> { ref, printer, info, announced }
+    }
+
+    topic(id, ...levels) {
+        return [this.options.baseTopic, id, ...levels].join('/');
+    }
+
+    start() {
+        const { url, username, password, baseTopic } = this.options;
+        const statusTopic = `${baseTopic}/bridge/status`;
+        this.client = this.connect(url, {
+            username: username || undefined,
+            password: password || undefined,
+            will: { topic: statusTopic, payload: 'offline', retain: true },
+        });
+
+        this.client.on('connect', () => {
+            this.client.publish(statusTopic, 'online', { retain: true });
+            this.client.subscribe([`${baseTopic}/+/command`, `${baseTopic}/+/led/set`]);
+            // A restarted broker may have lost the retained discovery configs
+            for (const entry of this.printers.values()) entry.announced = false;
+        });
+        this.client.on('message', (topic, payload) => this.handleMessage(topic, payload.toString().trim()));
+        this.client.on('error', (err) => console.error('MQTT error:', err.message));
+    }
+
+    async handleMessage(topic, payload) {
+        const levels = topic.slice(this.options.baseTopic.length + 1).split('/');
+        const entry = this.printers.get(levels[0]);
+        if (!entry) return;
+
+        let action;
+        let body = {};
+        if (levels[1] === 'led') {
+            action = 'led';
+            body = { state: payload.toUpperCase() === 'OFF' ? 'off' : 'on' };
+        } else {
+            action = payload.toLowerCase();
+            if (!BUTTONS[action]) {
+                console.warn(`MQTT: ignoring unknown command "${payload}" for ${entry.ref}`);
+                return;
+            }
+        }
+
+        const resultTopic = this.topic(levels[0], 'command', 'result');
+        try {
+            const response = await this.runControl(entry.ref, action, body);
+            this.client.publish(resultTopic, JSON.stringify({ action, success: true, response }));
+        } catch (e) {
+            this.client.publish(resultTopic, JSON.stringify({ action, success: false, error: e.message }));
+        }
+    }
+
+    publishSnapshot(ref, printer, snapshot) {
+        if (!this.client) return;
+        const id = nodeId(ref);
+        let entry = this.printers.get(id);
+        if (!entry) {
+            entry = { ref, printer, info: null, announced: false };
+            this.printers.set(id, entry);
+        }
+        entry.printer = printer;
+        if (snapshot.info && snapshot.info.Type) entry.info = snapshot.info;
+        if (!entry.announced && this.client.connected) {
+            this.announce(id, entry);
+            entry.announced = true;
+        }
+
+        const online = !(snapshot.errors || []).some((e) => e.step === 'STATUS');
+        this.client.publish(this.topic(id, 'availability'), online ? 'online' : 'offline', { retain: true });
+        if (online) {
+            this.client.publish(this.topic(id, 'state'), JSON.stringify(statePayload(snapshot)), { retain: true });
+        }
+    }
+
+    discoveryTopic(component, id, key) {
+        return `${this.options.discoveryPrefix}/${component}/flashforge_${id}/${key}/config`;
+    }
+
+    announce(id, entry) {
+        const info = entry.info || {};
+        const device = {
+            identifiers: [`flashforge_${id}`],
+            name: entry.printer ? entry.printer.name : info.Name || entry.ref,
+            manufacturer: 'FlashForge',
+            model: info.Type || (entry.printer && entry.printer.model) || undefined,
+            sw_version: info.Firmware || undefined,
+        };
+        const common = {
+            device,
+            availability: [
+                { topic: `${this.options.baseTopic}/bridge/status` },
+                { topic: this.topic(id, 'availability') },
+            ],
+            availability_mode: 'all',
+        };
+        const publish = (component, key, config) => {
+            this.client.publish(this.discoveryTopic(component, id, key), JSON.stringify({
+                ...common,
+                unique_id: `flashforge_${id}_${key}`,
+                object_id: `flashforge_${id}_${key}`,
+                ...config,
+            }), { retain: true });
+        };
+
+        for (const sensor of SENSORS) {
+            publish('sensor', sensor.key, {
+                name: sensor.name,
+                state_topic: this.topic(id, 'state'),
+                value_template: `{{ value_json.${sensor.key} }}`,
+                unit_of_measurement: sensor.unit,
+                device_class: sensor.deviceClass,
+                state_class: sensor.unit ? 'measurement' : undefined,
+            });
+        }
+        publish('light', 'led', {
+            name: 'LED',
+            command_topic: this.topic(id, 'led', 'set'),
+            state_topic: this.topic(id, 'state'),
+            state_value_template: '{{ value_json.led }}',
+            payload_on: 'ON',
+            payload_off: 'OFF',
+        });
+        for (const [action, name] of Object.entries(BUTTONS)) {
+            publish('button', action, {
+                name,
+                command_topic: this.topic(id, 'command'),
+                payload_press: action,
+            });
+        }
+    }
+
+    // Remove a printer's entities from Home Assistant
+    forget(ref) {
+        const id = nodeId(ref);
+        if (!this.printers.delete(id) || !this.client) return;
+        const keys = [
+            ...SENSORS.map((sensor) => ['sensor', sensor.key]),
+            ['light', 'led'],
+            ...Object.keys(BUTTONS).map((action) => ['button', action]),
+        ];
+        for (const [component, key] of keys) {
+            this.client.publish(this.discoveryTopic(component, id, key), '', { retain: true });
+        }
+        this.client.publish(this.topic(id, 'availability'), 'offline', { retain: true });
+    }
+
+    stop() {
+        if (!this.client) return;
+        this.client.publish(`${this.options.baseTopic}/bridge/status`, 'offline', { retain: true });
+        this.client.end();
+        this.client = null;
+    }
+}
+
+module.exports = {
+    MqttBridge,
+};
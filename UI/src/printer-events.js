@@ -0,0 +1,94 @@
+const { machineState } = require('./reply-parser');
+
+// A single failed poll is often just a busy printer, only report it gone after this many
+const OFFLINE_AFTER_FAILURES = 2;
+
+// How close a heater has to get to its target to count as there
+const TARGET_TOLERANCE_C = 2;
+
+const HEATERS = [
+    ['extruder', 'Temperature', 'TargetTemperature'],
+    ['extruder1', 'T1Temperature', 'T1TargetTemperature'],
+    ['bed', 'BedTemperature', 'BedTargetTemperature'],
+];
+
+// Turns consecutive snapshots of a printer into typed events: connection,
+// machine state, layer and heater changes. Job events come from the JobTracker.
+class SnapshotDiffer {
+    constructor() {
+        this.printers = new Map(); // printer ref -> { online, failures, state, layer, reached }
+    }
+
+    update(ref, snapshot) {
+        const events = [];
+        let previous = this.printers.get(ref);
+        if (!previous) {
+            previous = { online: null, failures: 0, state: null, layer: null, reached: null };
+            this.printers.set(ref, previous);
+        }
+
+        const statusError = (snapshot.errors || []).find((e) => e.step === 'STATUS');
+        if (statusError) {
+            previous.failures += 1;
+            if (previous.online !== false && previous.failures >= OFFLINE_AFTER_FAILURES) {
+                // Nothing to report for a printer that was never seen online
+                if (previous.online) events.push({ type: 'connectionLost', error: statusError.error });
+                previous.online = false;
+            }
+            return events;
+        }
+
+        if (previous.online === false) events.push({ type: 'connectionRestored' });
+        previous.online = true;
+        previous.failures = 0;
+
+        const state = machineState(snapshot.status, snapshot.temperatures);
+        if (previous.state && state !== previous.state) {
+            events.push({ type: 'statusChanged', from: previous.state, to: state, machineStatus: snapshot.status.MachineStatus });
+        }
+        if (state === 'error' && previous.state !== 'error') {
+            events.push({ type: 'printerError', machineStatus: snapshot.status.MachineStatus });
+        }
+        previous.state = state;
+
+        const failed = new Set((snapshot.errors || []).map((e) => e.step));
+        if (!failed.has('PROGRESS')) {
+            const { LayerCurrent: layer, LayerTotal: layerTotal } = snapshot.progress || {};
+            if (state === 'printing' && layer != null && previous.layer != null && layer !== previous.layer) {
+                events.push({ type: 'layerChanged', layer, layerTotal });
+            }
+            previous.layer = layer ?? null;
+        }
+        if (!failed.has('TEMP')) {
+            events.push(...this.heaterEvents(previous, snapshot.temperatures || {}));
+        }
+        return events;
+    }
+
+    // One targetTempReached per heater and target, the first snapshot only sets the baseline
+    heaterEvents(previous, temperatures) {
+        const events = [];
+        const firstSnapshot = !previous.reached;
+        if (firstSnapshot) previous.reached = {};
+        for (const [heater, currentKey, targetKey] of HEATERS) {
+            const current = parseFloat(temperatures[currentKey]);
+            const target = parseFloat(temperatures[targetKey]);
+            if (Number.isNaN(current) || Number.isNaN(target) || target <= 0) {
+                previous.reached[heater] = null;
+                continue;
+            }
+            if (previous.reached[heater] === target || Math.abs(current - target) > TARGET_TOLERANCE_C) continue;
+            previous.reached[heater] = target;
+            if (!firstSnapshot) events.push({ type: 'targetTempReached', heater, temperature: current, target });
+        }
+        return events;
+    }
+
+    forget(ref) {
+        this.printers.delete(ref);
+    }
+}
+
+module.exports = {
+    SnapshotDiffer,
+};
@@ -0,0 +1,120 @@
+const path = require('path');
+const { PROTOCOL_MESSAGES, PROTOCOL_COMMANDS } = require('./protocol');
+const { OK_LINE } = require('./response-reader');
+const { TruncatedResponseError, NotFoundError } = require('./errors');
+
+// M661 answers "ok" first and then appends a binary listing:
+// "D\xaa\xaaD", entry count (u32 BE), then per entry "::\xa3\xa3",
+// path length (u32 BE) and the path itself.
+const LIST_MAGIC = Buffer.from([0x44, 0xaa, 0xaa, 0x44]);
+const ENTRY_MAGIC = Buffer.from([0x3a, 0x3a, 0xa3, 0xa3]);
+
+// M662 also answers "ok" first, followed by "\xa2\xa2**", the image length
+// (u32 BE) and the PNG preview embedded in the file by the slicer.
+const THUMBNAIL_MAGIC = Buffer.from([0xa2, 0xa2, 0x2a, 0x2a]);
+const THUMBNAIL_TIMEOUT_MS = 10000;
+// Files without a preview get nothing after "ok", so a reply that stays quiet
+// this long after it is over
+const THUMBNAIL_SETTLE_MS = 500;
+const THUMBNAIL_CACHE_SIZE = 200;
+
+// Walk the binary listing. Returns null while it is still incomplete.
+function readFileListing(buffer) {
+    const start = buffer.indexOf(LIST_MAGIC);
+    if (start === -1 || buffer.length < start + 8) return null;
+    const count = buffer.readUInt32BE(start + 4);
+
+    const paths = [];
+    let offset = start + 8;
+    while (paths.length < count) {
+        if (buffer.length < offset + 8) return null;
+        if (!buffer.subarray(offset, offset + 4).equals(ENTRY_MAGIC)) {
+            throw new TruncatedResponseError('Unexpected data in file listing', buffer.toString('latin1'));
+        }
+        const length = buffer.readUInt32BE(offset + 4);
+        if (buffer.length < offset + 8 + length) return null;
+        paths.push(buffer.subarray(offset + 8, offset + 8 + length).toString('utf8'));
+        offset += 8 + length;
+    }
+    return paths;
+}
+
+// Returns the PNG once it has fully arrived, null while it is still incomplete
+function readThumbnail(buffer) {
+    const start = buffer.indexOf(THUMBNAIL_MAGIC);
+    if (start === -1 || buffer.length < start + 8) return null;
+    const length = buffer.readUInt32BE(start + 4);
+    if (buffer.length < start + 8 + length) return null;
+    return buffer.subarray(start + 8, start + 8 + length);
+}
+
+async function listFiles(session) {
+    const reply = await session.send(PROTOCOL_MESSAGES.LIST_FILES, {
+        raw: true,
+        terminator: (buffer) => readFileListing(buffer) !== null,
+    });
+    return readFileListing(reply).map((filePath) => ({
+        name: path.posix.basename(filePath),
+        path: filePath,
+    }));
+}
+
+async function printFile(session, fileName) {
+    return session.send(PROTOCOL_COMMANDS.printFile(fileName));
+}
+
+async function deleteFile(session, fileName) {
+    const reply = await session.send(PROTOCOL_COMMANDS.deleteFile(fileName));
+    forgetThumbnail(session, fileName);
+    return reply;
+}
+
+// Thumbnails only change when a file is replaced, so keep them per printer and
+// file name. Files without a preview are cached as null.
+const thumbnailCache = new Map(); // "host:port/name" -> Promise<Buffer|null>
+
+function thumbnailKey(session, fileName) {
+    return `${session.host}:${session.port}/${fileName}`;
+}
+
+function forgetThumbnail(session, fileName) {
+    thumbnailCache.delete(thumbnailKey(session, fileName));
+}
+
+async function fetchThumbnail(session, fileName) {
+    const reply = await session.send(PROTOCOL_COMMANDS.getThumbnail(fileName), {
+        raw: true,
+        timeoutMs: THUMBNAIL_TIMEOUT_MS,
+        terminator: (buffer) => readThumbnail(buffer) !== null,
+        // Only before the preview has started, a slow one still gets the full timeout
+        settleMs: THUMBNAIL_SETTLE_MS,
+        settleWhen: (buffer) => OK_LINE.test(buffer.toString('latin1')) && buffer.indexOf(THUMBNAIL_MAGIC) === -1,
+    });
+    const png = readThumbnail(reply);
+    return png ? Buffer.from(png) : null;
+}
+
+async function getThumbnail(session, fileName) {
+    const key = thumbnailKey(session, fileName);
+    let pending = thumbnailCache.get(key);
+    if (!pending) {
+        pending = fetchThumbnail(session, fileName);
+        thumbnailCache.set(key, pending);
+        // Failures are not cached, the next request tries again
+        pending.catch(() => thumbnailCache.delete(key));
+        if (thumbnailCache.size > THUMBNAIL_CACHE_SIZE) {
+            thumbnailCache.delete(thumbnailCache.keys().next().value);
+        }
+    }
+    const png = await pending;
+    if (!png) throw new NotFoundError(`${fileName} has no embedded thumbnail`);
+    return png;
+}
+
+module.exports = {
+    listFiles,
+    printFile,
+    deleteFile,
+    getThumbnail,
+    forgetThumbnail,
+};
@@ -0,0 +1,30 @@
+// Known FlashForge models, matched against the "Machine Type" reported by M115.
+// Temperature limits are the manufacturer's maximums for the stock hotend/bed,
+// camera is whether the printer has a built-in one.
+const PRINTER_MODELS = [
+    { id: 'finder', name: 'Finder', match: /finder/i, maxNozzleTemp: 240, maxBedTemp: 0, camera: false },
+    { id: 'adventurer3', name: 'Adventurer 3', match: /adventurer\s*3/i, maxNozzleTemp: 240, maxBedTemp: 100, camera: true },
+    { id: 'adventurer4', name: 'Adventurer 4', match: /adventurer\s*4/i, maxNozzleTemp: 265, maxBedTemp: 100, camera: true },
+    { id: 'adventurer5m', name: 'Adventurer 5M', match: /adventurer\s*5m|5m\s*pro/i, maxNozzleTemp: 280, maxBedTemp: 110, camera: true },
+    { id: 'ad5x', name: 'AD5X', match: /ad5x/i, maxNozzleTemp: 300, maxBedTemp: 110, camera: true },
+];
+
+// Conservative limits for printers we don't recognise
+const GENERIC_MODEL = { id: 'generic', name: 'Unknown model', maxNozzleTemp: 240, maxBedTemp: 100, camera: false };
+
+function resolveModel(machineType) {
+    const model = PRINTER_MODELS.find(({ match }) => match.test(machineType || '')) || GENERIC_MODEL;
+    return {
+        id: model.id,
+        name: model.name,
+        maxNozzleTemp: model.maxNozzleTemp,
+        maxBedTemp: model.maxBedTemp,
+        heatedBed: model.maxBedTemp > 0,
+        camera: model.camera,
+    };
+}
+
+module.exports = {
+    PRINTER_MODELS,
+    resolveModel,
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PRINTER_PORT } = require('./protocol');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const EDITABLE_FIELDS = ['name', 'host', 'port', 'model', 'notes', 'tags', 'serialNumber', 'checkCode'];
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'printer';
+}
+
+// Check and normalize user supplied printer fields. With partial set, missing
+// fields are left out instead of being required.
+function sanitizePrinter(input, partial = false) {
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (input[field] !== undefined) data[field] = input[field];
+    }
+
+    if (!partial || data.name !== undefined) {
+        if (typeof data.name !== 'string' || !data.name.trim()) throw new ValidationError('name is required');
+        data.name = data.name.trim();
+    }
+    if (!partial || data.host !== undefined) {
+        if (typeof data.host !== 'string' || !data.host.trim()) throw new ValidationError('host is required');
+        data.host = data.host.trim();
+    }
+    if (data.port !== undefined && data.port !== null && data.port !== '') {
+        const port = Number(data.port);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) throw new ValidationError('port must be between 1 and 65535');
+        data.port = port;
+    } else if (!partial) {
+        data.port = DEFAULT_PRINTER_PORT;
+    } else {
+        delete data.port;
+    }
+    for (const field of ['model', 'notes', 'serialNumber', 'checkCode']) {
+        if (data[field] !== undefined) data[field] = data[field] == null ? '' : String(data[field]).trim();
+    }
+    if (data.tags !== undefined) {
+        const tags = typeof data.tags === 'string' ? data.tags.split(',') : data.tags;
+        if (!Array.isArray(tags)) throw new ValidationError('tags must be a list of strings');
+        data.tags = [...new Set(tags.map((tag) => String(tag).trim()).filter(Boolean))];
+    }
+    return data;
+}
+
+// A printer as API responses show it. The check code unlocks the printer's
+// JSON control API, so it is only ever written, never read back.
+function publicPrinter(printer) {
+    const { checkCode, ...rest } = printer;
+    return { ...rest, hasCheckCode: !!checkCode };
+}
+
+// Named printers persisted to a JSON file, so routes can address a printer by
+// a stable id while its DHCP address changes. reservedIds are never handed
+// out, e.g. the first path segments of routes that would shadow the printer.
+class PrinterRegistry {
+    constructor(filePath, { reservedIds = [] } = {}) {
+        this.filePath = filePath;
+        this.reservedIds = new Set(reservedIds);
+        this.printers = new Map(); // id -> printer
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+        const list = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        for (const printer of list) {
+            this.printers.set(printer.id, printer);
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // Write to a temporary file first so a crash never leaves half a registry
+        const tmp = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.list(), null, 2));
+        fs.renameSync(tmp, this.filePath);
+    }
+
+    list() {
+        return [...this.printers.values()];
+    }
+
+    get(id) {
+        const printer = this.printers.get(id);
+        if (!printer) throw new NotFoundError(`No printer with id ${id}`);
+        return printer;
+    }
+
+    find(id) {
+        return this.printers.get(id) || null;
+    }
+
+    // The printer saved at host, on port too when one is given
+    findByHost(host, port = null) {
+        return this.list().find((printer) => printer.host === host && (port === null || printer.port === port)) || null;
+    }
+
+    uniqueId(name) {
+        const base = slugify(name);
+        let id = base;
+        for (let n = 2; this.printers.has(id) || this.reservedIds.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    }
+
+    create(input) {
+        const data = sanitizePrinter(input || {});
+        const now = new Date().toISOString();
+        const printer = {
+            id: this.uniqueId(data.name),
+            name: data.name,
+            host: data.host,
+            port: data.port,
+            model: data.model || '',
+            notes: data.notes || '',
+            tags: data.tags || [],
+            // Both set: the printer is polled through its HTTP JSON API
+            serialNumber: data.serialNumber || '',
+            checkCode: data.checkCode || '',
+            createdAt: now,
+            updatedAt: now,
+        };
+        this.printers.set(printer.id, printer);
+        this.save();
+        return printer;
+    }
+
+    update(id, input) {
+        const printer = this.get(id);
+        const updated = { ...printer, ...sanitizePrinter(input || {}, true), updatedAt: new Date().toISOString() };
+        this.printers.set(id, updated);
+        this.save();
+        return updated;
+    }
+
+    remove(id) {
+        this.get(id);
+        this.printers.delete(id);
+        this.save();
+    }
+}
+
+module.exports = {
+    PrinterRegistry,
+    publicPrinter,
+};
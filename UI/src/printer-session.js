@@ -0,0 +1,266 @@
+const net = require('net');
+const { PROTOCOL_MESSAGES, DEFAULT_PRINTER_PORT } = require('./protocol');
+const { ResponseReader } = require('./response-reader');
+const { PrinterCommandError } = require('./errors');
+
+const COMMAND_TIMEOUT_MS = 5000;
+const IDLE_TIMEOUT_MS = 30000;
+
+// Errors that mean the printer dropped a connection we believed was alive.
+// Commands failing with one of these are retried once on a fresh socket.
+const STALE_CONNECTION_CODES = new Set(['ECONNRESET', 'EPIPE', 'ECONNCLOSED']);
+
+// A long-lived control connection to one printer. The firmware only handles a
+// single conversation at a time, so every command goes through one queue and
+// is written only after the previous reply has been received.
+class PrinterSession {
+    constructor(host, port = DEFAULT_PRINTER_PORT, options = {}) {
+        this.host = host;
+        this.port = port;
+        this.commandTimeoutMs = options.commandTimeoutMs || COMMAND_TIMEOUT_MS;
+        this.idleTimeoutMs = options.idleTimeoutMs || IDLE_TIMEOUT_MS;
+        // Resolves host when connecting, dns.lookup unless given
+        this.lookup = options.lookup;
+
+        this.socket = null;
+        this.connecting = null;
+        this.pending = null; // reply handler of the command currently on the wire
+        this.queue = [];
+        this.draining = false;
+        this.idleTimer = null;
+    }
+
+    get connected() {
+        return !!this.socket && !this.connecting;
+    }
+
+    // Queue a command and resolve with the printer's complete reply.
+    // options.terminator overrides the final "ok" line, options.raw resolves a Buffer
+    // and options.onChunk sees every chunk as it arrives. With options.settleMs the
+    // reply also counts as complete once that long passes without data while
+    // options.settleWhen(buffer) holds, for payloads the firmware may leave out.
+    send(message, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ message, options, resolve, reject });
+            this.drain();
+        });
+    }
+
+    // Run several exchanges back to back with no other command in between, e.g. a
+    // file transfer. fn receives { send, write } bound to the session's connection.
+    transaction(fn) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ run: fn, resolve, reject });
+            this.drain();
+        });
+    }
+
+    async drain() {
+        if (this.draining) return;
+        this.draining = true;
+        this.clearIdleTimer();
+        while (this.queue.length) {
+            const job = this.queue.shift();
+            try {
+                job.resolve(await this.execute(job));
+            } catch (e) {
+                job.reject(e);
+            }
+        }
+        this.draining = false;
+        this.armIdleTimer();
+    }
+
+    async execute(job) {
+        if (job.run) return this.executeTransaction(job);
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await this.ensureConnected();
+                return await this.exchange(job.message, job.options);
+            } catch (e) {
+                // A rejected command leaves the connection in sync, anything else may not
+                if (e instanceof PrinterCommandError) throw e;
+                this.teardown();
+                if (attempt === 0 && STALE_CONNECTION_CODES.has(e.code)) continue;
+                throw e;
+            }
+        }
+    }
+
+    async executeTransaction(job) {
+        await this.ensureConnected();
+        const io = {
+            send: (message, options) => this.exchange(message, options),
+            write: (chunk) => this.write(chunk),
+        };
+        try {
+            return await job.run(io);
+        } catch (e) {
+            // Transactions are never retried, they are not safe to replay halfway
+            if (!(e instanceof PrinterCommandError)) this.teardown();
+            throw e;
+        }
+    }
+
+    ensureConnected() {
+        if (this.socket && !this.connecting) return Promise.resolve();
+        if (this.connecting) return this.connecting;
+
+        const socket = new net.Socket();
+        this.socket = socket;
+        socket.setNoDelay(true);
+
+        socket.on('data', (data) => {
+            if (this.socket === socket && this.pending) this.pending.onData(data);
+        });
+        socket.on('error', (err) => {
+            if (this.socket === socket && this.pending) this.pending.onError(err);
+        });
+        socket.on('close', () => {
+            if (this.socket !== socket) return;
+            if (this.pending) {
+                const err = new Error('Connection closed by printer');
+                err.code = 'ECONNCLOSED';
+                this.pending.onError(err);
+            }
+            this.socket = null;
+        });
+
+        this.connecting = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new Error('Connection timeout'));
+            }, this.commandTimeoutMs);
+            socket.once('connect', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+            socket.once('error', (err) => {
+                clearTimeout(timer);
+                reject(err);
+            });
+            socket.connect({ port: this.port, host: this.host, lookup: this.lookup });
+        })
+            // Take control once per connection instead of before every command
+            .then(() => this.exchange(PROTOCOL_MESSAGES.CONTROL))
+            .then(() => {
+                this.connecting = null;
+            }, (err) => {
+                this.connecting = null;
+                this.teardown();
+                throw err;
+            });
+
+        return this.connecting;
+    }
+
+    exchange(message, options = {}) {
+        const socket = this.socket;
+        const timeoutMs = options.timeoutMs || this.commandTimeoutMs;
+        const reader = new ResponseReader(options);
+        return new Promise((resolve, reject) => {
+            let settleTimer = null;
+            const finish = (err, reply) => {
+                clearTimeout(timer);
+                clearTimeout(settleTimer);
+                this.pending = null;
+                if (err) reject(err);
+                else resolve(reply);
+            };
+            const complete = () => {
+                try {
+                    finish(null, reader.result(options));
+                } catch (e) {
+                    finish(e);
+                }
+            };
+            const timer = setTimeout(() => {
+                finish(reader.length ? reader.truncated('Timed out') : new Error('Connection timeout'));
+            }, timeoutMs);
+            this.pending = {
+                onData: (data) => {
+                    if (options.onChunk) options.onChunk(data);
+                    let done;
+                    try {
+                        done = reader.push(data);
+                    } catch (e) {
+                        return finish(e);
+                    }
+                    clearTimeout(settleTimer);
+                    if (done) return complete();
+                    if (options.settleMs && options.settleWhen(reader.buffer)) {
+                        settleTimer = setTimeout(complete, options.settleMs);
+                    }
+                },
+                onError: (err) => finish(reader.length ? Object.assign(reader.truncated(err.message), { code: err.code }) : err),
+            };
+            socket.write(message);
+        });
+    }
+
+    // Write raw bytes that get no reply of their own, resolving once flushed
+    write(chunk) {
+        const socket = this.socket;
+        return new Promise((resolve, reject) => {
+            if (!socket) return reject(new Error('Connection closed by printer'));
+            socket.write(chunk, (err) => (err ? reject(err) : resolve()));
+        });
+    }
+
+    armIdleTimer() {
+        this.clearIdleTimer();
+        if (!this.socket) return;
+        this.idleTimer = setTimeout(() => this.close(), this.idleTimeoutMs);
+        this.idleTimer.unref();
+    }
+
+    clearIdleTimer() {
+        if (this.idleTimer) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = null;
+        }
+    }
+
+    teardown() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.destroy();
+    }
+
+    // Hand control back to the printer's touchscreen and drop the connection
+    close() {
+        this.clearIdleTimer();
+        const socket = this.socket;
+        if (!socket || this.draining || this.connecting) return;
+        this.socket = null;
+        socket.end(PROTOCOL_MESSAGES.RELEASE);
+        setTimeout(() => socket.destroy(), 1000).unref();
+    }
+}
+
+// One session per printer, shared by REST routes and the WebSocket poller
+const sessions = new Map(); // "host:port" -> PrinterSession
+
+// options only apply when the session is created
+function getSession(host, port = DEFAULT_PRINTER_PORT, options = {}) {
+    const key = `${host}:${port}`;
+    let session = sessions.get(key);
+    if (!session) {
+        session = new PrinterSession(host, port, options);
+        sessions.set(key, session);
+    }
+    return session;
+}
+
+function closeAllSessions() {
+    for (const session of sessions.values()) {
+        session.close();
+    }
+    sessions.clear();
+}
+
+module.exports = {
+    PrinterSession,
+    getSession,
+    closeAllSessions,
+};
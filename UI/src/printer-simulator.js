@@ -0,0 +1,545 @@
+const http = require('http');
+const net = require('net');
+const { DEFAULT_PRINTER_PORT } = require('./protocol');
+
+// A fake printer speaking the 8899 dialect, for developing the server without
+// hardware and for demo mode. Run it on its own with:
+//   node src/printer-simulator.js --model adventurer5m --port 8899 --speed 10 --split 0.2
+// Models with the JSON API also serve it when given --httpPort (see src/http-api.js).
+
+// Reply details that differ between the models we have captures of
+const SIMULATED_MODELS = {
+    finder: {
+        type: 'Flashforge Finder',
+        name: 'Finder',
+        firmware: 'V1.5 20170419',
+        volume: [140, 140, 140],
+        heatedBed: false,
+        secondTool: false,
+        // Older firmware only reports bytes in M27
+        reportsLayers: false,
+        macAddress: false,
+        // and goes straight back to READY at the end of a print
+        finishedStatus: 'READY',
+    },
+    adventurer3: {
+        type: 'Flashforge Adventurer 3',
+        name: 'Adventurer 3',
+        firmware: 'v1.3.7',
+        volume: [150, 150, 150],
+        heatedBed: true,
+        secondTool: false,
+        reportsLayers: true,
+        macAddress: true,
+        finishedStatus: 'READY',
+    },
+    adventurer5m: {
+        type: 'Flashforge Adventurer 5M',
+        name: 'Adventurer 5M',
+        firmware: 'v2.7.5',
+        volume: [220, 220, 220],
+        heatedBed: true,
+        // Reported as T1 even though there is only one extruder
+        secondTool: true,
+        reportsLayers: true,
+        macAddress: true,
+        finishedStatus: 'COMPLETED',
+        httpApi: true,
+    },
+};
+
+const AMBIENT_C = 22;
+const NOZZLE_HEAT_RATE = 3; // °C per simulated second
+const BED_HEAT_RATE = 0.8;
+const COOL_RATE = 0.5;
+const PRINT_NOZZLE_C = 210;
+const PRINT_BED_C = 60;
+const TICK_MS = 1000;
+
+// Files that are "on the printer" from the start: name -> { size, layers }
+const DEMO_FILES = {
+    'calibration-cube.gx': { size: 184320, layers: 100 },
+    'benchy.gx': { size: 1572864, layers: 240 },
+    'phone-stand.gx': { size: 901120, layers: 180 },
+};
+
+// Same framing as src/file-transfer.js
+const UPLOAD_PACKET_SIZE = 16 + 4096;
+const LIST_MAGIC = Buffer.from([0x44, 0xaa, 0xaa, 0x44]);
+const ENTRY_MAGIC = Buffer.from([0x3a, 0x3a, 0xa3, 0xa3]);
+
+function approach(current, goal, step) {
+    if (Math.abs(goal - current) <= step) return goal;
+    return current + Math.sign(goal - current) * step;
+}
+
+function formatTemp(value) {
+    return String(Math.round(value));
+}
+
+class PrinterSimulator {
+    // options: model, host, port, name, speed (simulated seconds per second),
+    // printSeconds (length of a print at speed 1), faults (see setFaults) and,
+    // for models with the JSON API, httpPort and checkCode
+    constructor(options = {}) {
+        this.modelId = options.model || 'finder';
+        this.model = SIMULATED_MODELS[this.modelId];
+        if (!this.model) {
+            throw new Error(`Unknown simulated model ${this.modelId}, expected one of ${Object.keys(SIMULATED_MODELS).join(', ')}`);
+        }
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port ?? DEFAULT_PRINTER_PORT;
+        this.name = options.name || `Simulated ${this.model.name}`;
+        this.speed = options.speed || 1;
+        this.printSeconds = options.printSeconds || 1800;
+        this.httpPort = this.model.httpApi ? options.httpPort ?? null : null;
+        this.checkCode = options.checkCode || '12345678';
+        this.setFaults(options.faults);
+
+        this.files = new Map(Object.entries(DEMO_FILES).map(([name, file]) => [name, { ...file }]));
+        this.machine = 'READY';
+        this.move = 'READY';
+        this.led = true;
+        this.nozzle = AMBIENT_C;
+        this.nozzleTarget = 0;
+        this.bed = AMBIENT_C;
+        this.bedTarget = 0;
+        this.position = { X: 0, Y: 0, Z: 0 };
+        this.homed = false;
+        this.job = null; // { file, bytesTotal, bytesPrinted, layersTotal, heating, seconds }
+
+        this.server = null;
+        this.httpServer = null;
+        this.timer = null;
+        this.sockets = new Set();
+    }
+
+    // Chance per reply (0..1) of never answering (timeout), answering in several
+    // small chunks (split) or sending junk bytes first (garbage)
+    setFaults(faults = {}) {
+        this.faults = { timeout: 0, split: 0, garbage: 0, ...faults };
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = net.createServer((socket) => this.handleConnection(socket));
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                this.timer = setInterval(() => this.tick(TICK_MS / 1000 * this.speed), TICK_MS);
+                this.timer.unref();
+                resolve(this.httpPort === null ? this : this.startHttpApi());
+            });
+        });
+    }
+
+    startHttpApi() {
+        return new Promise((resolve, reject) => {
+            this.httpServer = http.createServer((req, res) => this.handleHttp(req, res));
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.httpPort, this.host, () => {
+                this.httpPort = this.httpServer.address().port;
+                resolve(this);
+            });
+        });
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        for (const socket of this.sockets) socket.destroy();
+        const close = (server) => new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+        if (this.httpServer) this.httpServer.closeAllConnections();
+        return Promise.all([close(this.server), close(this.httpServer)]);
+    }
+
+    // --- Physics ---
+    tick(seconds) {
+        const nozzleGoal = this.nozzleTarget > 0 ? this.nozzleTarget : AMBIENT_C;
+        const bedGoal = this.bedTarget > 0 ? this.bedTarget : AMBIENT_C;
+        this.nozzle = approach(this.nozzle, nozzleGoal, (nozzleGoal > this.nozzle ? NOZZLE_HEAT_RATE : COOL_RATE) * seconds);
+        this.bed = approach(this.bed, bedGoal, (bedGoal > this.bed ? BED_HEAT_RATE : COOL_RATE) * seconds);
+
+        const job = this.job;
+        if (!job || this.machine === 'PAUSED') return;
+        job.seconds += seconds;
+        if (job.heating) {
+            // Prints only start once the nozzle and bed are up to temperature
+            job.heating = Math.abs(this.nozzle - this.nozzleTarget) > 2 || Math.abs(this.bed - this.bedTarget) > 2;
+            return;
+        }
+        const bytesPerSecond = job.bytesTotal / this.printSeconds;
+        // The first layer goes slowly, like on a real printer
+        const rate = this.layer() <= 1 ? bytesPerSecond / 3 : bytesPerSecond;
+        job.bytesPrinted = Math.min(job.bytesTotal, job.bytesPrinted + Math.round(rate * seconds));
+        this.position = { X: +(Math.random() * this.model.volume[0]).toFixed(2), Y: +(Math.random() * this.model.volume[1]).toFixed(2), Z: +(this.layer() * 0.2).toFixed(2) };
+        if (job.bytesPrinted >= job.bytesTotal) this.finishJob(this.model.finishedStatus);
+    }
+
+    layer() {
+        const job = this.job;
+        if (!job || job.heating) return 0;
+        return Math.max(1, Math.ceil((job.bytesPrinted / job.bytesTotal) * job.layersTotal));
+    }
+
+    startJob(fileName) {
+        const file = this.files.get(fileName);
+        if (!file) return false;
+        this.job = { file: fileName, bytesTotal: file.size, bytesPrinted: 0, layersTotal: file.layers, heating: true, seconds: 0 };
+        this.machine = 'BUILDING_FROM_SD';
+        this.move = 'MOVING';
+        this.nozzleTarget = PRINT_NOZZLE_C;
+        this.bedTarget = this.model.heatedBed ? PRINT_BED_C : 0;
+        return true;
+    }
+
+    pause() {
+        if (this.job) {
+            this.machine = 'PAUSED';
+            this.move = 'PAUSED';
+        }
+    }
+
+    resume() {
+        if (this.job && this.machine === 'PAUSED') {
+            this.machine = 'BUILDING_FROM_SD';
+            this.move = 'MOVING';
+        }
+    }
+
+    cancel() {
+        if (this.job) this.finishJob('READY');
+        else if (this.machine !== 'READY') this.machine = 'READY';
+    }
+
+    finishJob(machineStatus) {
+        this.job = null;
+        this.machine = machineStatus;
+        this.move = 'READY';
+        this.nozzleTarget = 0;
+        this.bedTarget = 0;
+    }
+
+    // --- Protocol ---
+    handleConnection(socket) {
+        this.sockets.add(socket);
+        const connection = { socket, text: '', upload: null };
+        socket.on('data', (chunk) => this.handleData(connection, chunk));
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+    }
+
+    handleData(connection, chunk) {
+        let data = chunk;
+        while (data.length) {
+            if (connection.upload) {
+                // Raw packets between M28 and M29, counted rather than parsed
+                const upload = connection.upload;
+                const take = Math.min(data.length, upload.remaining);
+                upload.remaining -= take;
+                data = data.subarray(take);
+                if (upload.remaining === 0) connection.upload = null;
+                continue;
+            }
+            connection.text += data.toString('latin1');
+            data = Buffer.alloc(0);
+            let newline;
+            while (!connection.upload && (newline = connection.text.indexOf('\n')) !== -1) {
+                const line = connection.text.slice(0, newline).trim();
+                connection.text = connection.text.slice(newline + 1);
+                if (line) this.handleCommand(connection, line);
+            }
+            if (connection.upload && connection.text) {
+                // Packet bytes that arrived together with the M28 line
+                data = Buffer.from(connection.text, 'latin1');
+                connection.text = '';
+            }
+        }
+    }
+
+    handleCommand(connection, line) {
+        const [word, ...args] = line.replace(/^~/, '').split(/\s+/);
+        const code = word.toUpperCase();
+        const reply = this.execute(code, args, connection);
+        const head = `CMD ${code} Received.\r\n`;
+        if (Buffer.isBuffer(reply)) {
+            this.send(connection.socket, Buffer.concat([Buffer.from(`${head}ok\r\n`), reply]));
+        } else {
+            this.send(connection.socket, Buffer.from(`${head}${reply}ok\r\n`));
+        }
+    }
+
+    // Returns the reply lines before "ok", or a Buffer to append after it
+    execute(code, args, connection) {
+        const arg = (letter) => {
+            const word = args.find((a) => a.toUpperCase().startsWith(letter));
+            return word === undefined ? undefined : parseFloat(word.slice(1));
+        };
+        const fileArg = () => (args.join(' ').split('/').pop() || '').trim();
+
+        switch (code) {
+            case 'M601':
+                return 'Control Success.\r\n';
+            case 'M602':
+                return 'Control Release.\r\n';
+            case 'M115': {
+                const [x, y, z] = this.model.volume;
+                return [
+                    `Machine Type: ${this.model.type}`,
+                    `Machine Name: ${this.name}`,
+                    `Firmware: ${this.model.firmware}`,
+                    `SN: SIM${this.port}`,
+                    `X: ${x} Y: ${y} Z: ${z}`,
+                    'Tool Count: 1',
+                    ...(this.model.macAddress ? ['Mac Address:88:A9:A7:00:00:01'] : []),
+                    '',
+                ].join('\r\n');
+            }
+            case 'M114':
+                return `X:${this.position.X} Y:${this.position.Y} Z:${this.position.Z} A:0 B:0\r\n`;
+            case 'M105': {
+                const parts = [`T0:${formatTemp(this.nozzle)}/${formatTemp(this.nozzleTarget)}`];
+                if (this.model.secondTool) parts.push('T1:0/0');
+                // Without a heated bed the firmware still reports one, always at zero
+                parts.push(this.model.heatedBed ? `B:${formatTemp(this.bed)}/${formatTemp(this.bedTarget)}` : 'B:0/0');
+                return `${parts.join(' ')}\r\n`;
+            }
+            case 'M27': {
+                const job = this.job;
+                const printed = job ? job.bytesPrinted : 0;
+                const total = job ? job.bytesTotal : 0;
+                let reply = `SD printing byte ${printed}/${total}\r\n`;
+                if (this.model.reportsLayers) reply += `Layer: ${this.layer()}/${job ? job.layersTotal : 0}\r\n`;
+                return reply;
+            }
+            case 'M119': {
+                const flag = this.homed && !this.job ? 1 : 0;
+                return [
+                    `Endstop: X-max:${flag} Y-max:${flag} Z-min:${flag}`,
+                    `MachineStatus: ${this.machine}`,
+                    `MoveMode: ${this.move}`,
+                    `Status: S:1 L:0 J:0 F:${this.job ? 1 : 0}`,
+                    `LED: ${this.led ? 1 : 0}`,
+                    `CurrentFile: ${this.job ? this.job.file : ''}`,
+                    '',
+                ].join('\r\n');
+            }
+            case 'M146':
+                this.led = (arg('R') || 0) + (arg('G') || 0) + (arg('B') || 0) > 0;
+                return '';
+            case 'M104':
+                this.nozzleTarget = arg('S') || 0;
+                return '';
+            case 'M140':
+                if (this.model.heatedBed) this.bedTarget = arg('S') || 0;
+                return '';
+            case 'G28':
+                this.position = { X: 0, Y: 0, Z: 0 };
+                this.homed = true;
+                return '';
+            case 'M23': {
+                const name = fileArg();
+                if (this.job) return 'Error: printer is busy\r\n';
+                if (!this.startJob(name)) return `open failed, File: ${name}\r\n`;
+                return `File opened: ${name} Size: ${this.files.get(name).size}\r\nFile selected\r\n`;
+            }
+            case 'M25':
+                this.pause();
+                return '';
+            case 'M24':
+                this.resume();
+                return '';
+            case 'M26':
+                this.cancel();
+                return '';
+            case 'M661': {
+                const entries = [...this.files.keys()].map((name) => {
+                    const path = Buffer.from(`/data/${name}`);
+                    const length = Buffer.alloc(4);
+                    length.writeUInt32BE(path.length);
+                    return Buffer.concat([ENTRY_MAGIC, length, path]);
+                });
+                const count = Buffer.alloc(4);
+                count.writeUInt32BE(entries.length);
+                return Buffer.concat([LIST_MAGIC, count, ...entries]);
+            }
+            case 'M662':
+                // No previews in simulated files, the firmware just stops after "ok"
+                return '';
+            case 'M30':
+                this.files.delete(fileArg());
+                return '';
+            case 'M28': {
+                const size = parseInt(args[0], 10) || 0;
+                const name = fileArg();
+                connection.upload = { remaining: Math.ceil(size / 4096) * UPLOAD_PACKET_SIZE };
+                if (!connection.upload.remaining) connection.upload = null;
+                this.files.set(name, { size, layers: Math.max(1, Math.round(size / 8192)) });
+                return `Writing to file: ${name}\r\n`;
+            }
+            case 'M29':
+                return 'Done saving file.\r\n';
+            default:
+                // The firmware acknowledges most commands it doesn't act on
+                return '';
+        }
+    }
+
+    // --- JSON API ---
+    handleHttp(req, res) {
+        let body = '';
+        req.on('data', (chunk) => (body += chunk));
+        req.on('end', () => {
+            let request;
+            try {
+                request = JSON.parse(body || '{}');
+            } catch (e) {
+                request = {};
+            }
+            const reply = (data) => {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(data));
+            };
+            if (req.method !== 'POST') {
+                res.writeHead(405);
+                res.end();
+                return;
+            }
+            // The firmware answers a bad serial number or check code with HTTP 200 and a non-zero code
+            if (request.serialNumber !== `SIM${this.port}` || request.checkCode !== this.checkCode) {
+                reply({ code: 1, message: 'Serial number or check code error' });
+                return;
+            }
+            switch (req.url) {
+                case '/detail':
+                    reply({ code: 0, message: 'Success', detail: this.detail() });
+                    return;
+                case '/product':
+                    reply({
+                        code: 0,
+                        message: 'Success',
+                        product: { lightCtrlState: 1, nozzleTempCtrlState: 1, platformTempCtrlState: 1, chamberTempCtrlState: 0, internalFanCtrlState: 1, externalFanCtrlState: 1 },
+                    });
+                    return;
+                case '/control':
+                    reply(this.control(request.payload || {}));
+                    return;
+                default:
+                    res.writeHead(404);
+                    res.end();
+            }
+        });
+    }
+
+    control({ cmd, args = {} }) {
+        if (cmd === 'jobCtl_cmd' && ['pause', 'continue', 'cancel'].includes(args.action)) {
+            if (args.action === 'pause') this.pause();
+            if (args.action === 'continue') this.resume();
+            if (args.action === 'cancel') this.cancel();
+            return { code: 0, message: 'Success' };
+        }
+        if (cmd === 'lightControl_cmd') {
+            this.led = args.status === 'open';
+            return { code: 0, message: 'Success' };
+        }
+        return { code: 1, message: `Unsupported command ${cmd}` };
+    }
+
+    detail() {
+        const job = this.job;
+        let status = 'ready';
+        if (job) status = this.machine === 'PAUSED' ? 'paused' : job.heating ? 'heating' : 'printing';
+        else if (this.machine === 'COMPLETED') status = 'completed';
+        const bytesPerSecond = job ? job.bytesTotal / this.printSeconds : 0;
+        return {
+            status,
+            name: this.name,
+            model: this.model.name,
+            firmwareVersion: this.model.firmware,
+            macAddr: '88:A9:A7:00:00:01',
+            measure: this.model.volume.join('X'),
+            nozzleCnt: 1,
+            printFileName: job ? `/data/${job.file}` : '',
+            printProgress: job ? job.bytesPrinted / job.bytesTotal : 0,
+            printLayer: this.layer(),
+            targetPrintLayer: job ? job.layersTotal : 0,
+            printDuration: job ? Math.round(job.seconds) : 0,
+            estimatedTime: job ? Math.round((job.bytesTotal - job.bytesPrinted) / bytesPerSecond) : 0,
+            leftTemp: Math.round(this.nozzle),
+            leftTargetTemp: this.nozzleTarget,
+            rightTemp: 0,
+            rightTargetTemp: 0,
+            platTemp: Math.round(this.bed),
+            platTargetTemp: this.bedTarget,
+            chamberTemp: AMBIENT_C + (job ? 8 : 0),
+            chamberTargetTemp: 0,
+            coolingFanSpeed: job && !job.heating ? 100 : 0,
+            chamberFanSpeed: job ? 30 : 0,
+            externalFanStatus: 'close',
+            internalFanStatus: job ? 'open' : 'close',
+            doorStatus: 'close',
+            lightStatus: this.led ? 'open' : 'close',
+            printSpeedAdjust: 100,
+            estimatedRightLen: job ? Math.round(job.bytesTotal / 120) : 0,
+            estimatedRightWeight: job ? +(job.bytesTotal / 40000).toFixed(1) : 0,
+            cameraStreamUrl: '',
+            errorCode: '',
+        };
+    }
+
+    send(socket, reply) {
+        const { timeout, split, garbage } = this.faults;
+        if (Math.random() < timeout) return;
+        let data = reply;
+        if (Math.random() < garbage) {
+            data = Buffer.concat([Buffer.from([0x00, 0xff, 0x7e, 0x13, 0x0a]), data]);
+        }
+        if (Math.random() >= split || data.length < 4) {
+            socket.write(data);
+            return;
+        }
+        // Dribble the reply out in a few pieces, like a busy printer on Wi-Fi
+        const cuts = [...new Set([0, ...[1, 2, 3].map(() => 1 + Math.floor(Math.random() * (data.length - 1))), data.length])].sort((a, b) => a - b);
+        cuts.slice(1).forEach((end, i) => {
+            setTimeout(() => !socket.destroyed && socket.write(data.subarray(cuts[i], end)), i * 30);
+        });
+    }
+}
+
+function parseArgs(argv) {
+    const options = { faults: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        if (['timeout', 'split', 'garbage'].includes(key)) {
+            options.faults[key] = parseFloat(value);
+            i++;
+        } else if (['port', 'httpPort', 'speed', 'printSeconds'].includes(key)) {
+            options[key] = parseFloat(value);
+            i++;
+        } else if (['model', 'host', 'name', 'checkCode'].includes(key)) {
+            options[key] = value;
+            i++;
+        } else {
+            throw new Error(`Unknown option --${key}`);
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const simulator = new PrinterSimulator(parseArgs(process.argv.slice(2)));
+    simulator.start().then(() => {
+        console.log(`Simulated ${simulator.model.name} listening on ${simulator.host}:${simulator.port}`);
+        if (simulator.httpServer) {
+            console.log(`JSON API on ${simulator.host}:${simulator.httpPort}, serial number SIM${simulator.port}, check code ${simulator.checkCode}`);
+        }
+    }).catch((e) => {
+        console.error(`Could not start the simulator: ${e.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    PrinterSimulator,
+    SIMULATED_MODELS,
+};
@@ -0,0 +1,84 @@
+const { isJobActive } = require('./reply-parser');
+
+// Weight of the newest rate sample in the moving average
+const SMOOTHING = 0.3;
+
+// The first layer is printed slowly and says little about the rest of the job,
+// so no estimate is given before this layer (or this fraction, without layer counts)
+const FIRST_RATE_LAYER = 2;
+const FIRST_RATE_FRACTION = 0.02;
+
+// Progress going back by more than this means a new job started
+const RESTART_DROP = 0.05;
+
+// Fraction of the job done, the mean of byte and layer progress when both are known
+function progressFraction(progress = {}) {
+    const parts = [];
+    if (progress.BytesTotal > 0) parts.push(progress.BytesPrinted / progress.BytesTotal);
+    if (progress.LayerTotal > 0 && progress.LayerCurrent != null) parts.push(progress.LayerCurrent / progress.LayerTotal);
+    if (!parts.length) return null;
+    return Math.min(1, parts.reduce((sum, part) => sum + part, 0) / parts.length);
+}
+
+function pastFirstLayer(progress, fraction) {
+    if (progress.LayerTotal > 0 && progress.LayerCurrent != null) return progress.LayerCurrent >= FIRST_RATE_LAYER;
+    return fraction >= FIRST_RATE_FRACTION;
+}
+
+// Estimates elapsed and remaining time of the job on each printer from
+// successive progress replies. Only time spent printing counts towards the
+// print rate, so pauses and heating don't stretch the estimate.
+class ProgressEstimator {
+    constructor() {
+        this.jobs = new Map(); // printer ref -> { startedAt, lastTime, activeMs, fraction, rate, mark }
+    }
+
+    // state is the machineState() of the printer; returns the fields to merge into its progress
+    update(ref, progress, state, now = Date.now()) {
+        const fraction = progressFraction(progress);
+        if (!isJobActive(state) || fraction === null) {
+            this.jobs.delete(ref);
+            return { ElapsedSeconds: null, RemainingSeconds: null, EstimatedCompletion: null };
+        }
+
+        let job = this.jobs.get(ref);
+        if (!job || fraction < job.fraction - RESTART_DROP) {
+            job = { startedAt: now, lastTime: now, activeMs: 0, fraction, rate: null, mark: null };
+            this.jobs.set(ref, job);
+        }
+
+        if (state === 'printing') job.activeMs += now - job.lastTime;
+        job.lastTime = now;
+
+        if (pastFirstLayer(progress, fraction)) {
+            if (!job.mark) {
+                // Rates are measured from here on
+                job.mark = { fraction, activeMs: job.activeMs };
+            } else if (fraction > job.mark.fraction && job.activeMs > job.mark.activeMs) {
+                const sample = (fraction - job.mark.fraction) / (job.activeMs - job.mark.activeMs);
+                job.rate = job.rate === null ? sample : SMOOTHING * sample + (1 - SMOOTHING) * job.rate;
+                job.mark = { fraction, activeMs: job.activeMs };
+            }
+        }
+        job.fraction = Math.max(job.fraction, fraction);
+
+        const elapsedSeconds = Math.round((now - job.startedAt) / 1000);
+        if (!job.rate) return { ElapsedSeconds: elapsedSeconds, RemainingSeconds: null, EstimatedCompletion: null };
+        const remainingMs = (1 - fraction) / job.rate;
+        return {
+            ElapsedSeconds: elapsedSeconds,
+            RemainingSeconds: Math.round(remainingMs / 1000),
+            // A paused job is not getting any closer to done
+            EstimatedCompletion: state === 'paused' ? null : new Date(now + remainingMs).toISOString(),
+        };
+    }
+
+    forget(ref) {
+        this.jobs.delete(ref);
+    }
+}
+
+module.exports = {
+    ProgressEstimator,
+    progressFraction,
+};
@@ -0,0 +1,136 @@
+const { machineState } = require('./reply-parser');
+
+const MACHINE_STATES = ['idle', 'heating', 'printing', 'paused', 'completed', 'error', 'unknown'];
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const parts = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+// Keeps the latest polled snapshot and poll statistics per printer and renders
+// them in the Prometheus text exposition format.
+class PrometheusExporter {
+    constructor() {
+        this.printers = new Map(); // printer ref -> state
+    }
+
+    state(ref) {
+        let state = this.printers.get(ref);
+        if (!state) {
+            state = {
+                name: ref,
+                snapshot: null,
+                polls: 0,
+                errors: new Map(), // step -> count
+                latency: { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 },
+            };
+            this.printers.set(ref, state);
+        }
+        return state;
+    }
+
+    observe(ref, printer, snapshot, durationMs) {
+        const state = this.state(ref);
+        state.name = printer ? printer.name : ref;
+        state.snapshot = snapshot;
+        state.polls += 1;
+        for (const { step } of snapshot.errors || []) {
+            state.errors.set(step, (state.errors.get(step) || 0) + 1);
+        }
+        if (durationMs !== undefined) {
+            const seconds = durationMs / 1000;
+            LATENCY_BUCKETS.forEach((bound, i) => {
+                if (seconds <= bound) state.latency.buckets[i] += 1;
+            });
+            state.latency.sum += seconds;
+            state.latency.count += 1;
+        }
+    }
+
+    forget(ref) {
+        this.printers.delete(ref);
+    }
+
+    render() {
+        const families = [];
+        const family = (name, type, help) => {
+            const entry = { name, type, help, samples: [] };
+            families.push(entry);
+            return (labels, value, suffix = '') => {
+                if (value !== null && value !== undefined) entry.samples.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+            };
+        };
+
+        const up = family('flashforge_up', 'gauge', 'Whether the last poll got a status reply from the printer');
+        const nozzle = family('flashforge_nozzle_temperature_celsius', 'gauge', 'Current extruder temperature');
+        const nozzleTarget = family('flashforge_nozzle_target_temperature_celsius', 'gauge', 'Target extruder temperature');
+        const bed = family('flashforge_bed_temperature_celsius', 'gauge', 'Current bed temperature');
+        const bedTarget = family('flashforge_bed_target_temperature_celsius', 'gauge', 'Target bed temperature');
+        const progress = family('flashforge_progress_percent', 'gauge', 'Percent of the current job completed');
+        const layer = family('flashforge_layer_current', 'gauge', 'Layer currently being printed');
+        const layers = family('flashforge_layer_total', 'gauge', 'Layers in the current job');
+        const status = family('flashforge_machine_status', 'gauge', 'Machine state, 1 for the current state');
+        const led = family('flashforge_led_on', 'gauge', 'Whether the case light is on');
+        const lastPoll = family('flashforge_last_poll_timestamp_seconds', 'gauge', 'Unix time of the last poll');
+        const polls = family('flashforge_polls_total', 'counter', 'Snapshots polled from the printer');
+        const errors = family('flashforge_poll_errors_total', 'counter', 'Failed TCP exchanges while polling, by snapshot step');
+        const latency = family('flashforge_poll_duration_seconds', 'histogram', 'Time taken to poll a full snapshot');
+
+        for (const [ref, state] of this.printers.entries()) {
+            const labels = { printer: ref, name: state.name };
+            const snapshot = state.snapshot || {};
+            // Failed steps leave placeholder values in the snapshot, leave them out
+            const failed = new Set((snapshot.errors || []).map((e) => e.step));
+            const temps = failed.has('TEMP') ? {} : snapshot.temperatures || {};
+            const prog = failed.has('PROGRESS') ? {} : snapshot.progress || {};
+            const reachable = !failed.has('STATUS');
+
+            up(labels, reachable ? 1 : 0);
+            nozzle({ ...labels, tool: '0' }, toNumber(temps.Temperature));
+            nozzleTarget({ ...labels, tool: '0' }, toNumber(temps.TargetTemperature));
+            nozzle({ ...labels, tool: '1' }, toNumber(temps.T1Temperature));
+            nozzleTarget({ ...labels, tool: '1' }, toNumber(temps.T1TargetTemperature));
+            bed(labels, toNumber(temps.BedTemperature));
+            bedTarget(labels, toNumber(temps.BedTargetTemperature));
+            progress(labels, toNumber(prog.PercentageCompleted));
+            layer(labels, toNumber(prog.LayerCurrent));
+            layers(labels, toNumber(prog.LayerTotal));
+            if (reachable) {
+                const current = machineState(snapshot.status, temps);
+                for (const machine of MACHINE_STATES) {
+                    status({ ...labels, state: machine }, machine === current ? 1 : 0);
+                }
+                led(labels, snapshot.status && typeof snapshot.status.LED === 'boolean' ? Number(snapshot.status.LED) : null);
+            }
+            if (snapshot.timestamp) lastPoll(labels, Date.parse(snapshot.timestamp) / 1000);
+            polls(labels, state.polls);
+            for (const [step, count] of state.errors.entries()) {
+                errors({ ...labels, step }, count);
+            }
+            LATENCY_BUCKETS.forEach((bound, i) => latency({ ...labels, le: String(bound) }, state.latency.buckets[i], '_bucket'));
+            latency({ ...labels, le: '+Inf' }, state.latency.count, '_bucket');
+            latency(labels, state.latency.sum, '_sum');
+            latency(labels, state.latency.count, '_count');
+        }
+
+        const lines = [];
+        for (const { name, type, help, samples } of families) {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples);
+        }
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = {
+    PrometheusExporter,
+};
@@ -0,0 +1,46 @@
+// Protocol messages (same as Python version)
+const PROTOCOL_MESSAGES = {
+    CONTROL: '~M601 S1\r\n',
+    RELEASE: '~M602\r\n',
+    INFO: '~M115\r\n',
+    HEAD_POSITION: '~M114\r\n',
+    TEMP: '~M105\r\n',
+    PROGRESS: '~M27\r\n',
+    STATUS: '~M119\r\n',
+    // Control commands
+    LED_ON: '~M146 r255 g255 b255\r\n',
+    LED_OFF: '~M146 r0 g0 b0\r\n',
+    PAUSE: '~M25\r\n',
+    RESUME: '~M24\r\n',
+    CANCEL: '~M26\r\n',
+    HOME: '~G28\r\n',
+    // Storage
+    LIST_FILES: '~M661\r\n',
+};
+
+// Commands taking arguments. Files live on the printer's internal storage.
+const PROTOCOL_COMMANDS = {
+    beginUpload: (size, fileName) => `~M28 ${size} 0:/user/${fileName}\r\n`,
+    endUpload: () => '~M29\r\n',
+    printFile: (fileName) => `~M23 0:/user/${fileName}\r\n`,
+    deleteFile: (fileName) => `~M30 0:/user/${fileName}\r\n`,
+    getThumbnail: (fileName) => `~M662 /data/${fileName}\r\n`,
+    // Temperatures
+    setExtruderTemp: (target, tool = 0) => `~M104 S${target} T${tool}\r\n`,
+    setBedTemp: (target) => `~M140 S${target}\r\n`,
+    // Motion
+    absolutePositioning: () => '~G90\r\n',
+    relativePositioning: () => '~G91\r\n',
+    linearMove: (axes, feedRate) => {
+        const words = Object.entries(axes).map(([axis, value]) => `${axis}${value}`);
+        return `~G1 ${words.join(' ')} F${feedRate}\r\n`;
+    },
+};
+
+const DEFAULT_PRINTER_PORT = 8899;
+
+module.exports = {
+    PROTOCOL_MESSAGES,
+    PROTOCOL_COMMANDS,
+    DEFAULT_PRINTER_PORT,
+};
@@ -0,0 +1,39 @@
+const { TooManyRequestsError } = require('./errors');
+
+// Token bucket per client: up to perMinute requests in a burst, refilled
+// evenly over the minute
+class RateLimiter {
+    constructor(perMinute, what = 'requests') {
+        this.perMinute = perMinute;
+        this.what = what;
+        this.buckets = new Map(); // client -> { tokens, updatedAt }
+    }
+
+    // Throws a TooManyRequestsError when the client has used up its requests
+    take(client, now = Date.now()) {
+        if (!(this.perMinute > 0)) return;
+        const refillPerMs = this.perMinute / 60000;
+        const bucket = this.buckets.get(client) || { tokens: this.perMinute, updatedAt: now };
+        bucket.tokens = Math.min(this.perMinute, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+        this.buckets.set(client, bucket);
+        if (bucket.tokens < 1) {
+            const retryAfter = Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+            throw new TooManyRequestsError(`Too many ${this.what}, try again in ${retryAfter} s`, retryAfter);
+        }
+        bucket.tokens -= 1;
+        this.prune(now);
+    }
+
+    // Forget clients whose bucket has filled up again
+    prune(now) {
+        if (this.buckets.size < 1000) return;
+        for (const [client, bucket] of this.buckets) {
+            if (bucket.tokens + (now - bucket.updatedAt) * (this.perMinute / 60000) >= this.perMinute) this.buckets.delete(client);
+        }
+    }
+}
+
+module.exports = {
+    RateLimiter,
+};
@@ -0,0 +1,173 @@
+// Parsers for the text replies of the 8899 dialect. Each one takes the whole
+// reply ("CMD Mxxx Received." ... "ok") and returns typed values: numbers as
+// numbers, flags as booleans, and null for anything the printer left out.
+
+// How far below target a heater may be before a starting job counts as heating
+const HEATING_MARGIN_C = 5;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "Name: value" on a line of its own. Anchored to the line start so Status
+// doesn't match MachineStatus, and never crossing into the next line.
+function field(reply, name) {
+    const match = reply.match(new RegExp(`^[ \\t]*${escapeRegExp(name)}[ \\t]*:[ \\t]*(.*?)[ \\t]*\\r?$`, 'm'));
+    return match ? match[1] : null;
+}
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+// "X-max:1 Y-max:0 Z-min:1" (some firmware puts a space after the colon)
+function parseFlags(text, pattern) {
+    const flags = {};
+    for (const [, name, value] of String(text || '').matchAll(pattern)) {
+        flags[name] = Number(value);
+    }
+    return flags;
+}
+
+// M115:
+//   Machine Type: Flashforge Adventurer 5M Pro
+//   Machine Name: Workshop
+//   Firmware: v2.7.5
+//   SN: SNMOMC9900728
+//   X: 220 Y: 220 Z: 220
+//   Tool Count: 1
+//   Mac Address:88:A9:A7:91:C4:5E
+function parseInfo(reply) {
+    const info = {};
+    const fields = { Type: 'Machine Type', Name: 'Machine Name', Firmware: 'Firmware', SN: 'SN', 'Mac Address': 'Mac Address' };
+    for (const [key, name] of Object.entries(fields)) {
+        const value = field(reply, name);
+        if (value) info[key] = value;
+    }
+    const tools = toNumber(field(reply, 'Tool Count'));
+    if (tools !== null) info['Tool Count'] = tools;
+    const volume = reply.match(/X:\s*([-\d.]+)\s+Y:\s*([-\d.]+)\s+Z:\s*([-\d.]+)/);
+    if (volume) {
+        info.BuildVolumeX = toNumber(volume[1]);
+        info.BuildVolumeY = toNumber(volume[2]);
+        info.BuildVolumeZ = toNumber(volume[3]);
+    }
+    return info;
+}
+
+// M114: "X:86.9984 Y:70.5016 Z:140 A:0 B:0"
+function parseHeadLocation(reply) {
+    const location = {};
+    for (const axis of ['X', 'Y', 'Z']) {
+        const match = reply.match(new RegExp(`\\b${axis}:\\s*([-\\d.]+)`));
+        if (match) location[axis] = toNumber(match[1]);
+    }
+    return location;
+}
+
+// M105: "T0:210/210 B:60/60", the 5M series adds "T1:0/0"; Finders report "B:0/0"
+function parseTemperatures(reply) {
+    const pair = (label) => {
+        const match = reply.match(new RegExp(`\\b${label}:\\s*([-\\d.]+)\\s*/\\s*([-\\d.]+)`));
+        return match ? [toNumber(match[1]), toNumber(match[2])] : [null, null];
+    };
+    const [t0, t0Target] = pair('T0');
+    const [t1, t1Target] = pair('T1');
+    const [bed, bedTarget] = pair('B');
+    return {
+        Temperature: t0,
+        TargetTemperature: t0Target,
+        T1Temperature: t1,
+        T1TargetTemperature: t1Target,
+        BedTemperature: bed,
+        BedTargetTemperature: bedTarget,
+    };
+}
+
+// M27: "SD printing byte 4276/9550", newer firmware adds "Layer: 12/120"
+function parseProgress(reply) {
+    const bytes = reply.match(/SD printing byte\s+(\d+)\/(\d+)/);
+    const layers = reply.match(/Layer:\s*(\d+)\/(\d+)/);
+    const progress = {
+        BytesPrinted: bytes ? Number(bytes[1]) : 0,
+        BytesTotal: bytes ? Number(bytes[2]) : 0,
+        PercentageCompleted: 0,
+        LayerCurrent: layers ? Number(layers[1]) : null,
+        LayerTotal: layers ? Number(layers[2]) : null,
+    };
+    if (progress.BytesTotal) {
+        progress.PercentageCompleted = Math.floor((progress.BytesPrinted / progress.BytesTotal) * 100);
+    } else if (progress.LayerTotal) {
+        progress.PercentageCompleted = Math.floor((progress.LayerCurrent / progress.LayerTotal) * 100);
+    }
+    return progress;
+}
+
+// M119:
+//   Endstop: X-max:1 Y-max:0 Z-min:1
+//   MachineStatus: BUILDING_FROM_SD
+//   MoveMode: MOVING
+//   Status: S:1 L:0 J:0 F:0
+//   LED: 1
+//   CurrentFile: cube.gx
+function parseStatus(reply) {
+    const led = field(reply, 'LED');
+    const status = {
+        MachineStatus: field(reply, 'MachineStatus'),
+        MoveMode: field(reply, 'MoveMode'),
+        Status: parseFlags(field(reply, 'Status'), /([A-Z]):\s*(\d+)/g),
+        Endstop: Object.fromEntries(Object.entries(parseFlags(field(reply, 'Endstop'), /([XYZ]-(?:max|min)):\s*(\d+)/gi))
+            .map(([name, value]) => [name, value === 1])),
+        LED: led === null ? null : Number(led) > 0,
+        // Only the file name, some firmware reports the full path
+        CurrentFile: (field(reply, 'CurrentFile') || '').split('/').pop() || null,
+    };
+    status.State = machineState(status);
+    return status;
+}
+
+// Normalized machine state: idle, heating, printing, paused, completed, error or
+// unknown. Firmware versions disagree on where a pause shows up, so both
+// MachineStatus and MoveMode are checked. With the M105 temperatures a job
+// whose heaters are still coming up to temperature counts as heating.
+function machineState(status = {}, temperatures = null) {
+    const machine = String(status.MachineStatus || '').toUpperCase();
+    const move = String(status.MoveMode || '').toUpperCase();
+    if (!machine) return 'unknown';
+    if (machine.includes('PAUSED') || move.includes('PAUSED')) return 'paused';
+    if (machine.includes('COMPLETED')) return 'completed';
+    if (machine.includes('BUILDING') || machine.includes('PRINTING')) {
+        return temperatures && isHeating(temperatures) ? 'heating' : 'printing';
+    }
+    if (machine.includes('READY')) return 'idle';
+    if (machine.includes('ERROR')) return 'error';
+    return 'unknown';
+}
+
+function isHeating(temperatures) {
+    return [
+        ['Temperature', 'TargetTemperature'],
+        ['T1Temperature', 'T1TargetTemperature'],
+        ['BedTemperature', 'BedTargetTemperature'],
+    ].some(([currentKey, targetKey]) => {
+        const current = toNumber(temperatures[currentKey]);
+        const target = toNumber(temperatures[targetKey]);
+        return current !== null && target > 0 && current < target - HEATING_MARGIN_C;
+    });
+}
+
+// States in which the printer has a job, whether or not it is extruding right now
+function isJobActive(state) {
+    return state === 'printing' || state === 'paused' || state === 'heating';
+}
+
+module.exports = {
+    parseInfo,
+    parseHeadLocation,
+    parseTemperatures,
+    parseProgress,
+    parseStatus,
+    machineState,
+    isJobActive,
+};
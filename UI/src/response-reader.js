@@ -0,0 +1,89 @@
+const { PrinterCommandError, TruncatedResponseError } = require('./errors');
+
+const MAX_REPLY_BYTES = 8 * 1024 * 1024;
+
+// Every reply of the 8899 dialect ends with a line containing only "ok"
+const OK_LINE = /(?:^|\n)ok\r?\n/;
+
+// Lines the firmware uses to report a failed command inside an otherwise normal reply
+const ERROR_LINE_PATTERNS = [
+    /^error\b:?\s*(.*)$/i,
+    /^!!\s*(.*)$/,
+    /^(control failed\.?)$/i,
+    /^(open failed.*)$/i,
+];
+
+// A terminator is either the text of the final line ('ok'), a RegExp tested
+// against the reply so far, or a function receiving the raw Buffer (for replies
+// carrying binary payloads after the ok line).
+function toPredicate(terminator = 'ok') {
+    if (typeof terminator === 'function') return terminator;
+    if (terminator instanceof RegExp) return (buffer) => terminator.test(buffer.toString('latin1'));
+    const escaped = String(terminator).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const line = new RegExp(`(?:^|\\n)${escaped}\\r?\\n`);
+    return (buffer) => line.test(buffer.toString('latin1'));
+}
+
+function findInlineError(text) {
+    // Only the textual part of the reply matters, binary payloads follow the ok line
+    const ok = text.search(OK_LINE);
+    const head = ok === -1 ? text : text.slice(0, ok);
+    for (const line of head.split(/\r?\n/)) {
+        for (const pattern of ERROR_LINE_PATTERNS) {
+            const match = line.trim().match(pattern);
+            if (match) return match[1] || line.trim();
+        }
+    }
+    return null;
+}
+
+// Accumulates the TCP chunks of one reply until its terminator has been seen
+class ResponseReader {
+    constructor(options = {}) {
+        this.isComplete = toPredicate(options.terminator);
+        this.maxBytes = options.maxBytes || MAX_REPLY_BYTES;
+        this.chunks = [];
+        this.length = 0;
+        this.joined = null;
+    }
+
+    get buffer() {
+        if (!this.joined) this.joined = Buffer.concat(this.chunks, this.length);
+        return this.joined;
+    }
+
+    // Add a chunk and report whether the reply is now complete
+    push(chunk) {
+        this.chunks.push(chunk);
+        this.length += chunk.length;
+        this.joined = null;
+        if (this.length > this.maxBytes) {
+            throw new TruncatedResponseError(`Reply exceeded ${this.maxBytes} bytes without a terminator`, this.buffer.toString());
+        }
+        return !!this.isComplete(this.buffer);
+    }
+
+    // The complete reply, or a PrinterCommandError when the firmware reported a failure
+    result(options = {}) {
+        const text = this.buffer.toString();
+        const failure = findInlineError(text);
+        if (failure) {
+            throw new PrinterCommandError(`Printer rejected command: ${failure}`, text);
+        }
+        return options.raw ? this.buffer : text;
+    }
+
+    // Error for a reply cut short by a timeout or a closed connection
+    truncated(reason) {
+        return new TruncatedResponseError(
+            `${reason}: reply ended after ${this.length} bytes without a terminator`,
+            this.buffer.toString()
+        );
+    }
+}
+
+module.exports = {
+    OK_LINE,
+    ResponseReader,
+    findInlineError,
+};
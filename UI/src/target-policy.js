@@ -0,0 +1,105 @@
+const net = require('net');
+const dns = require('dns');
+const { ValidationError, ForbiddenError } = require('./errors');
+
+// Local networks, where printers live: RFC 1918, loopback, link-local and IPv6 unique local
+const PRIVATE_RANGES = ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '127.0.0.0/8', '169.254.0.0/16', '::1/128', 'fc00::/7', 'fe80::/10'];
+
+const MAX_HOSTNAME_LENGTH = 253;
+const HOSTNAME_LABEL = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/i;
+
+// A printer address as typed into a route: IPv4, IPv6 (optionally with a zone) or a DNS name
+function isValidTarget(ref) {
+    if (typeof ref !== 'string' || !ref) return false;
+    if (net.isIP(ref)) return true;
+    const name = ref.endsWith('.') ? ref.slice(0, -1) : ref;
+    if (!name || name.length > MAX_HOSTNAME_LENGTH) return false;
+    const labels = name.split('.');
+    // All-numeric names are mistyped IPv4 addresses, not hosts
+    if (labels.every((label) => /^\d+$/.test(label))) return false;
+    return labels.every((label) => HOSTNAME_LABEL.test(label));
+}
+
+function parseCidr(cidr, index) {
+    const [address, bits, ...rest] = String(cidr).split('/');
+    const family = net.isIP(address);
+    const prefix = bits === undefined ? (family === 6 ? 128 : 32) : Number(bits);
+    if (!family || rest.length || !Number.isInteger(prefix) || prefix < 0 || prefix > (family === 6 ? 128 : 32)) {
+        throw new Error(`targets.allow[${index}]: ${cidr} is not a CIDR range like 192.168.1.0/24 or fd00::/8`);
+    }
+    return { address, prefix, type: family === 6 ? 'ipv6' : 'ipv4' };
+}
+
+// Decides which hosts the server may open printer connections to. Saved
+// printers (and monitor.printers) are always allowed; anything else has to be
+// an address inside one of the allowed ranges, and hostnames are resolved so
+// that every address they point at is checked.
+class TargetPolicy {
+    constructor({ allow = PRIVATE_RANGES } = {}, { isRegistered = () => false, lookup = dns.promises.lookup } = {}) {
+        this.ranges = new net.BlockList();
+        for (const [i, cidr] of allow.entries()) {
+            const { address, prefix, type } = parseCidr(cidr, i);
+            this.ranges.addSubnet(address, prefix, type);
+        }
+        this.directAllowed = allow.length > 0;
+        this.isRegistered = isRegistered;
+        this.lookup = lookup;
+        this.connectLookup = this.connectLookup.bind(this);
+    }
+
+    allowsAddress(address) {
+        // The zone of a link-local IPv6 address doesn't change which range it is in
+        const plain = address.split('%')[0];
+        return this.ranges.check(plain, net.isIP(plain) === 6 ? 'ipv6' : 'ipv4');
+    }
+
+    // Resolves when ref may be connected to, throws a ValidationError for a
+    // malformed address and a ForbiddenError for one the policy refuses
+    async check(ref) {
+        if (this.isRegistered(ref)) return;
+        if (!isValidTarget(ref)) {
+            throw new ValidationError(`${String(ref).slice(0, 100)} is neither a saved printer nor a valid IP address or hostname`);
+        }
+        if (!this.directAllowed) {
+            throw new ForbiddenError(`${ref} is not a saved printer, only saved printers may be used`, 'TARGET_NOT_ALLOWED');
+        }
+        if (net.isIP(ref)) {
+            if (!this.allowsAddress(ref)) throw new ForbiddenError(`${ref} is outside the allowed printer networks`, 'TARGET_NOT_ALLOWED');
+            return;
+        }
+        await this.resolve(ref);
+    }
+
+    // The addresses hostname resolves to, refused when any of them is outside
+    // the allowed ranges. Saved printers may resolve anywhere.
+    async resolve(hostname, options = {}) {
+        let addresses;
+        try {
+            addresses = await this.lookup(hostname, { family: options.family, all: true });
+        } catch (e) {
+            throw new ValidationError(`${hostname} could not be resolved (${e.code || e.message})`);
+        }
+        if (this.isRegistered(hostname)) return addresses;
+        const refused = addresses.find(({ address }) => !this.allowsAddress(address));
+        if (refused) {
+            throw new ForbiddenError(`${hostname} resolves to ${refused.address}, outside the allowed printer networks`, 'TARGET_NOT_ALLOWED');
+        }
+        return addresses;
+    }
+
+    // Drop-in for dns.lookup in net.connect and http.get. The name is checked
+    // again as the connection resolves it, so it can't point somewhere else
+    // than it did when check() let it through.
+    connectLookup(hostname, options, callback) {
+        this.resolve(hostname, options).then((addresses) => {
+            if (options.all) callback(null, addresses);
+            else callback(null, addresses[0].address, addresses[0].family);
+        }, (error) => callback(error));
+    }
+}
+
+module.exports = {
+    PRIVATE_RANGES,
+    TargetPolicy,
+    isValidTarget,
+};
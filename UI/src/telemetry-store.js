@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+// Snapshot fields kept over time and how samples are combined when downsampled
+const FIELDS = {
+    Temperature: 'avg',
+    TargetTemperature: 'avg',
+    T1Temperature: 'avg',
+    T1TargetTemperature: 'avg',
+    BedTemperature: 'avg',
+    BedTargetTemperature: 'avg',
+    PercentageCompleted: 'max',
+    LayerCurrent: 'max',
+    LayerTotal: 'max',
+};
+
+// Every sample is kept for a couple of hours, older data only as one minute buckets
+const RAW_RETENTION_MS = 2 * 60 * 60 * 1000;
+const BUCKET_MS = 60 * 1000;
+const MAX_POINTS = 2000;
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+
+function sampleFromSnapshot(snapshot) {
+    const values = {};
+    // A failed step leaves placeholders (zero temperatures, 0 %) that were never measured
+    const failed = new Set((snapshot.errors || []).map((e) => e.step));
+    const sources = {
+        ...(failed.has('TEMP') ? {} : snapshot.temperatures),
+        ...(failed.has('PROGRESS') ? {} : snapshot.progress),
+    };
+    for (const field of Object.keys(FIELDS)) {
+        const value = parseFloat(sources[field]);
+        if (!Number.isNaN(value)) values[field] = value;
+    }
+    return values;
+}
+
+// A bucket holds per field the running value (sum for averages, max otherwise) and sample count
+function emptyBucket(t) {
+    return { t, v: {}, n: {} };
+}
+
+function addToBucket(bucket, values, counts = null) {
+    for (const [field, value] of Object.entries(values)) {
+        const n = counts ? counts[field] : 1;
+        if (FIELDS[field] === 'avg') {
+            bucket.v[field] = (bucket.v[field] || 0) + value * n;
+        } else {
+            bucket.v[field] = bucket.v[field] === undefined ? value : Math.max(bucket.v[field], value);
+        }
+        bucket.n[field] = (bucket.n[field] || 0) + n;
+    }
+}
+
+// Stored buckets keep averages rather than sums so the files stay readable
+function finishBucket(bucket) {
+    const v = {};
+    for (const [field, value] of Object.entries(bucket.v)) {
+        v[field] = FIELDS[field] === 'avg' ? Math.round((value / bucket.n[field]) * 100) / 100 : value;
+    }
+    return { t: bucket.t, v, n: bucket.n };
+}
+
+function parseTime(value, name, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(time)) throw new ValidationError(`${name} must be an ISO timestamp or epoch milliseconds`);
+    return time;
+}
+
+// Retained time series per printer: recent raw samples in memory plus one minute
+// buckets appended to <dir>/<printer>.jsonl and pruned after retentionHours.
+class TelemetryStore {
+    constructor(dir, { retentionHours = 48 } = {}) {
+        this.dir = dir;
+        this.retentionMs = retentionHours * 60 * 60 * 1000;
+        this.series = new Map(); // printer ref -> { raw, buckets, open, prunedAt }
+    }
+
+    filePath(printerId) {
+        return path.join(this.dir, `${String(printerId).replace(/[^a-zA-Z0-9._-]/g, '_')}.jsonl`);
+    }
+
+    get(printerId) {
+        let series = this.series.get(printerId);
+        if (series) return series;
+        series = { raw: [], buckets: [], open: null, prunedAt: Date.now() };
+        const file = this.filePath(printerId);
+        if (fs.existsSync(file)) {
+            const cutoff = Date.now() - this.retentionMs;
+            for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    const bucket = JSON.parse(line);
+                    if (bucket.t >= cutoff) series.buckets.push(bucket);
+                } catch (e) {
+                    // Skip a line cut short by a crash mid-write
+                }
+            }
+        }
+        this.series.set(printerId, series);
+        return series;
+    }
+
+    record(printerId, snapshot) {
+        const values = sampleFromSnapshot(snapshot);
+        if (!Object.keys(values).length) return;
+        const t = Date.parse(snapshot.timestamp) || Date.now();
+        const series = this.get(printerId);
+
+        series.raw.push({ t, v: values });
+        while (series.raw.length && series.raw[0].t < t - RAW_RETENTION_MS) series.raw.shift();
+
+        const bucketStart = t - (t % BUCKET_MS);
+        if (series.open && series.open.t !== bucketStart) {
+            this.close(printerId, series);
+        }
+        if (!series.open) series.open = emptyBucket(bucketStart);
+        addToBucket(series.open, values);
+    }
+
+    close(printerId, series) {
+        const bucket = finishBucket(series.open);
+        series.open = null;
+        series.buckets.push(bucket);
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.appendFileSync(this.filePath(printerId), `${JSON.stringify(bucket)}\n`);
+
+        // Rewrite the file without expired buckets about once an hour
+        const now = Date.now();
+        if (now - series.prunedAt > 60 * 60 * 1000) {
+            series.prunedAt = now;
+            const cutoff = now - this.retentionMs;
+            series.buckets = series.buckets.filter((b) => b.t >= cutoff);
+            const tmp = `${this.filePath(printerId)}.tmp`;
+            fs.writeFileSync(tmp, series.buckets.map((b) => `${JSON.stringify(b)}\n`).join(''));
+            fs.renameSync(tmp, this.filePath(printerId));
+        }
+    }
+
+    // Aggregate the series into points `step` seconds apart between from and to
+    // (ISO or epoch ms, default: the last 24 hours)
+    query(printerId, query = {}) {
+        const to = parseTime(query.to, 'to', Date.now());
+        const from = parseTime(query.from, 'from', to - DEFAULT_RANGE_MS);
+        if (from >= to) throw new ValidationError('from must be before to');
+
+        let stepMs;
+        if (query.step !== undefined && query.step !== '') {
+            const step = Number(query.step);
+            if (!Number.isFinite(step) || step <= 0) throw new ValidationError('step must be a positive number of seconds');
+            stepMs = step * 1000;
+        } else {
+            stepMs = Math.ceil((to - from) / 500 / 1000) * 1000;
+        }
+        // Never hand out more than MAX_POINTS, whatever step was asked for
+        stepMs = Math.max(stepMs, Math.ceil((to - from) / MAX_POINTS / 1000) * 1000, 1000);
+
+        const series = this.get(printerId);
+        const oldestRaw = series.raw.length ? series.raw[0].t : Infinity;
+        const useRaw = stepMs < BUCKET_MS && from >= oldestRaw;
+        const sources = useRaw
+            ? series.raw.map((sample) => ({ t: sample.t, v: sample.v, n: null }))
+            : [...series.buckets, ...(series.open ? [finishBucket(series.open)] : [])];
+
+        const points = new Map(); // step start -> bucket
+        for (const source of sources) {
+            if (source.t < from || source.t > to) continue;
+            const start = from + Math.floor((source.t - from) / stepMs) * stepMs;
+            if (!points.has(start)) points.set(start, emptyBucket(start));
+            addToBucket(points.get(start), source.v, source.n);
+        }
+
+        return {
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            step: stepMs / 1000,
+            fields: Object.keys(FIELDS),
+            points: [...points.values()].map((bucket) => ({ time: new Date(bucket.t).toISOString(), ...finishBucket(bucket).v })),
+        };
+    }
+
+    // Write out the buckets still being filled, e.g. on shutdown
+    flush() {
+        for (const [printerId, series] of this.series.entries()) {
+            if (series.open) this.close(printerId, series);
+        }
+    }
+}
+
+module.exports = {
+    TelemetryStore,
+};
@@ -0,0 +1,58 @@
+const { PROTOCOL_COMMANDS } = require('./protocol');
+const { ValidationError } = require('./errors');
+
+function readTarget(value, label) {
+    const target = Number(value);
+    if (value === '' || value === null || typeof value === 'boolean' || !Number.isFinite(target)) {
+        throw new ValidationError(`${label} target must be a number`);
+    }
+    if (target < 0) {
+        throw new ValidationError(`${label} target cannot be negative`);
+    }
+    return Math.round(target);
+}
+
+// Validate requested targets against the model's limits and build the
+// M104/M140 commands. body: { extruder?, tool?, bed? } in °C, 0 turns a heater off.
+function buildTemperatureCommands(body, model, toolCount = 1) {
+    const { extruder, tool = 0, bed } = body || {};
+    if (extruder === undefined && bed === undefined) {
+        throw new ValidationError('Provide an extruder and/or bed target');
+    }
+
+    const commands = [];
+    const targets = {};
+
+    if (extruder !== undefined) {
+        const toolIndex = Number(tool);
+        if (!Number.isInteger(toolIndex) || toolIndex < 0 || toolIndex >= toolCount) {
+            throw new ValidationError(`Tool index must be between 0 and ${toolCount - 1}`);
+        }
+        const target = readTarget(extruder, 'Extruder');
+        if (target > model.maxNozzleTemp) {
+            throw new ValidationError(`Extruder target ${target}°C exceeds the ${model.maxNozzleTemp}°C limit of the ${model.name}`);
+        }
+        commands.push(PROTOCOL_COMMANDS.setExtruderTemp(target, toolIndex));
+        targets.extruder = target;
+        targets.tool = toolIndex;
+    }
+
+    if (bed !== undefined) {
+        const target = readTarget(bed, 'Bed');
+        if (!model.heatedBed && target > 0) {
+            throw new ValidationError(`The ${model.name} has no heated bed`);
+        }
+        if (target > model.maxBedTemp && model.heatedBed) {
+            throw new ValidationError(`Bed target ${target}°C exceeds the ${model.maxBedTemp}°C limit of the ${model.name}`);
+        }
+        // Turning off a bed that doesn't exist is a no-op, don't bother the firmware with it
+        if (model.heatedBed) commands.push(PROTOCOL_COMMANDS.setBedTemp(target));
+        targets.bed = target;
+    }
+
+    return { commands, targets };
+}
+
+module.exports = {
+    buildTemperatureCommands,
+};
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { NotFoundError } = require('./errors');
+const { writeZip } = require('./zip-writer');
+
+const META_FILE = 'timelapse.json';
+const FRAME_PATTERN = /^frame-(\d+)\.jpg$/;
+
+function frameName(index) {
+    return `frame-${String(index).padStart(6, '0')}.jpg`;
+}
+
+// Records a camera frame each time a job reaches a new layer (or every
+// intervalSeconds on firmware that doesn't report layers) into
+// <dir>/<jobId>/, and keeps each printer's timelapses within the retention
+// limits. captureFrame(printerId) resolves with a JPEG.
+class TimelapseRecorder {
+    constructor(dir, options = {}, { captureFrame }) {
+        this.dir = dir;
+        this.options = { enabled: true, intervalSeconds: 30, maxPerPrinter: 20, maxMegabytesPerPrinter: 1024, ...options };
+        this.captureFrame = captureFrame;
+        this.timelapses = new Map(); // job id -> { jobId, printerId, printerName, file, startedAt, finishedAt, outcome, frames, bytes }
+        this.recordings = new Map(); // printer ref -> { meta, lastLayer, lastCaptureAt, capturing, stopped, failures }
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.dir)) return;
+        for (const entry of fs.readdirSync(this.dir, { withFileTypes: true })) {
+            if (!entry.isDirectory()) continue;
+            try {
+                const meta = JSON.parse(fs.readFileSync(path.join(this.dir, entry.name, META_FILE), 'utf8'));
+                // Frames written after the last save (e.g. before a crash) still count
+                Object.assign(meta, this.countFrames(meta.jobId));
+                this.timelapses.set(meta.jobId, meta);
+            } catch (e) {
+                console.error(`Skipping timelapse ${entry.name}: ${e.message}`);
+            }
+        }
+    }
+
+    countFrames(jobId) {
+        const dir = path.join(this.dir, jobId);
+        const frames = fs.readdirSync(dir).filter((name) => FRAME_PATTERN.test(name));
+        const bytes = frames.reduce((sum, name) => sum + fs.statSync(path.join(dir, name)).size, 0);
+        return { frames: frames.length, bytes };
+    }
+
+    saveMeta(meta) {
+        const dir = path.join(this.dir, meta.jobId);
+        fs.mkdirSync(dir, { recursive: true });
+        const file = path.join(dir, META_FILE);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(meta, null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    // Feed one polled snapshot together with the printer's job in progress
+    update(printerId, snapshot, job) {
+        if (!this.options.enabled || !job) return;
+        let recording = this.recordings.get(printerId);
+        if (recording && recording.meta.jobId !== job.id) {
+            this.finish(printerId);
+            recording = null;
+        }
+        if (!recording) recording = this.start(printerId, job);
+        if (recording.stopped || recording.capturing) return;
+        // Heating and pauses would only add frames of a standing print
+        if (!snapshot.status || snapshot.status.State !== 'printing') return;
+
+        const progress = snapshot.progress || {};
+        const now = Date.now();
+        if (progress.LayerTotal > 0 && progress.LayerCurrent != null) {
+            if (progress.LayerCurrent <= recording.lastLayer) return;
+            recording.lastLayer = progress.LayerCurrent;
+        } else if (now - recording.lastCaptureAt < this.options.intervalSeconds * 1000) {
+            return;
+        }
+        recording.lastCaptureAt = now;
+        this.capture(printerId, recording);
+    }
+
+    start(printerId, job) {
+        // Picks up where it left off when the server restarted mid-print
+        const meta = this.timelapses.get(job.id) || {
+            jobId: job.id,
+            printerId,
+            printerName: job.printerName,
+            file: job.file,
+            startedAt: job.startedAt,
+            finishedAt: null,
+            outcome: null,
+            frames: 0,
+            bytes: 0,
+        };
+        const recording = { meta, lastLayer: 0, lastCaptureAt: 0, capturing: false, stopped: false, failures: 0 };
+        this.recordings.set(printerId, recording);
+        return recording;
+    }
+
+    async capture(printerId, recording) {
+        const { meta } = recording;
+        recording.capturing = true;
+        try {
+            const frame = await this.captureFrame(printerId);
+            if (this.recordings.get(printerId) !== recording) return;
+            if (meta.bytes + frame.length > this.options.maxMegabytesPerPrinter * 1024 * 1024) {
+                recording.stopped = true;
+                console.warn(`Timelapse of ${meta.file || meta.jobId} on ${printerId} reached the size limit, no more frames`);
+                return;
+            }
+            // Nothing goes to disk until there is a first frame
+            if (!meta.frames) {
+                this.timelapses.set(meta.jobId, meta);
+                this.saveMeta(meta);
+            }
+            await fs.promises.writeFile(path.join(this.dir, meta.jobId, frameName(meta.frames + 1)), frame);
+            meta.frames += 1;
+            meta.bytes += frame.length;
+            this.enforceRetention(printerId);
+        } catch (e) {
+            // A model without a camera won't grow one during the print
+            if (e.status === 404) recording.stopped = true;
+            if (!recording.failures++) console.warn(`Timelapse frame for ${printerId} failed: ${e.message}`);
+        } finally {
+            recording.capturing = false;
+        }
+    }
+
+    // The printer's job ended; record is its history entry when known
+    finish(printerId, record = null) {
+        const recording = this.recordings.get(printerId);
+        this.recordings.delete(printerId);
+        // Jobs that ended while the server was down were never resumed
+        const meta = recording ? recording.meta : record && this.timelapses.get(record.id);
+        if (!meta || meta.finishedAt) return;
+        if (!meta.frames) {
+            this.timelapses.delete(meta.jobId);
+            return;
+        }
+        meta.finishedAt = record ? record.endedAt : new Date().toISOString();
+        meta.outcome = record ? record.outcome : null;
+        this.saveMeta(meta);
+        this.enforceRetention(printerId);
+    }
+
+    // Drop a printer's oldest timelapses beyond maxPerPrinter or
+    // maxMegabytesPerPrinter. The one being recorded counts but always stays.
+    enforceRetention(printerId) {
+        const maxBytes = this.options.maxMegabytesPerPrinter * 1024 * 1024;
+        const recording = this.recordings.get(printerId);
+        const current = recording && recording.meta.frames ? recording.meta : null;
+        let count = current ? 1 : 0;
+        let bytes = current ? current.bytes : 0;
+        const older = [...this.timelapses.values()]
+            .filter((meta) => meta.printerId === printerId && meta !== current)
+            .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+        for (const meta of older) {
+            if (count < this.options.maxPerPrinter && bytes + meta.bytes <= maxBytes) {
+                count += 1;
+                bytes += meta.bytes;
+                continue;
+            }
+            fs.rmSync(path.join(this.dir, meta.jobId), { recursive: true, force: true });
+            this.timelapses.delete(meta.jobId);
+        }
+    }
+
+    // Newest first, optionally for some printers: { printer: 'id1,id2' }
+    list(query = {}) {
+        const printers = query.printer ? String(query.printer).split(',') : null;
+        return [...this.timelapses.values()]
+            .filter((meta) => !printers || printers.includes(meta.printerId))
+            .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt))
+            .map((meta) => ({ ...meta }));
+    }
+
+    get(jobId) {
+        const meta = this.timelapses.get(jobId);
+        if (!meta) throw new NotFoundError(`No timelapse for job ${jobId}`);
+        return { ...meta };
+    }
+
+    // Frames are numbered from 1
+    framePath(jobId, index) {
+        const meta = this.get(jobId);
+        const number = Number(index);
+        if (!Number.isInteger(number) || number < 1 || number > meta.frames) {
+            throw new NotFoundError(`Timelapse ${jobId} has no frame ${index}`);
+        }
+        return path.join(this.dir, meta.jobId, frameName(number));
+    }
+
+    // Every frame and the timelapse details as one ZIP
+    writeArchive(jobId, stream) {
+        const meta = this.get(jobId);
+        const entries = Array.from({ length: meta.frames }, (_, i) => {
+            const file = path.join(this.dir, meta.jobId, frameName(i + 1));
+            return { name: frameName(i + 1), read: () => fs.promises.readFile(file) };
+        });
+        entries.push({ name: META_FILE, read: async () => Buffer.from(JSON.stringify(meta, null, 2)) });
+        return writeZip(stream, entries);
+    }
+}
+
+module.exports = {
+    TimelapseRecorder,
+};
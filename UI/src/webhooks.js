@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { NotFoundError } = require('./errors');
+
+const EVENT_TYPES = [
+    'jobStarted', 'jobPaused', 'jobResumed', 'jobCompleted', 'jobCancelled', 'jobFailed', 'jobFinished',
+    'connectionLost', 'connectionRestored', 'printerError',
+    'statusChanged', 'layerChanged', 'targetTempReached',
+];
+
+// Hooks without an events filter skip the chatty ones, "*" really means everything
+const DEFAULT_EVENTS = [
+    'jobStarted', 'jobPaused', 'jobResumed', 'jobCompleted', 'jobCancelled', 'jobFailed',
+    'connectionLost', 'connectionRestored', 'printerError',
+];
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BACKOFF_MS = 2000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_DELIVERIES = 100;
+
+function lookup(context, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+// Fill {{path.to.value}} placeholders from the event. A string that is only a
+// placeholder takes the value as is, so numbers and objects keep their type.
+function renderTemplate(template, context) {
+    if (typeof template === 'string') {
+        const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+        if (whole) return lookup(context, whole[1]) ?? null;
+        return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+            const value = lookup(context, path);
+            return value == null ? '' : String(value);
+        });
+    }
+    if (Array.isArray(template)) return template.map((item) => renderTemplate(item, context));
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]));
+    }
+    return template;
+}
+
+function validateHook(hook, index) {
+    const where = `webhooks[${index}]`;
+    if (!hook || typeof hook !== 'object') throw new Error(`${where} must be an object`);
+    if (!hook.id || typeof hook.id !== 'string') throw new Error(`${where}.id is required`);
+    if (!/^https?:\/\//.test(hook.url || '')) throw new Error(`${where}.url must be an http(s) URL`);
+    for (const type of hook.events || []) {
+        if (type !== '*' && !EVENT_TYPES.includes(type)) {
+            throw new Error(`${where}.events: unknown event ${type}, expected one of ${EVENT_TYPES.join(', ')}`);
+        }
+    }
+    return {
+        id: hook.id,
+        url: hook.url,
+        method: (hook.method || 'POST').toUpperCase(),
+        headers: hook.headers || {},
+        events: hook.events && hook.events.length ? hook.events : DEFAULT_EVENTS,
+        printers: hook.printers && hook.printers.length ? hook.printers : null,
+        body: hook.body,
+        retries: hook.retries ?? DEFAULT_RETRIES,
+        backoffMs: hook.backoffMs ?? DEFAULT_BACKOFF_MS,
+        timeoutMs: hook.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+    };
+}
+
+// Posts printer events to the configured URLs. Each hook keeps a log of its
+// most recent deliveries in memory.
+class WebhookDispatcher {
+    constructor(hooks = [], { fetch: fetchImpl = fetch } = {}) {
+        this.fetch = fetchImpl;
+        this.hooks = new Map(); // id -> hook
+        this.deliveryLog = new Map(); // id -> deliveries, newest first
+        hooks.forEach((hook, index) => {
+            const normalized = validateHook(hook, index);
+            if (this.hooks.has(normalized.id)) throw new Error(`webhooks[${index}].id ${normalized.id} is used twice`);
+            this.hooks.set(normalized.id, normalized);
+            this.deliveryLog.set(normalized.id, []);
+        });
+    }
+
+    list() {
+        return [...this.hooks.values()].map(({ id, url, method, events, printers, retries }) => ({ id, url, method, events, printers, retries }));
+    }
+
+    deliveries(id) {
+        if (!this.hooks.has(id)) throw new NotFoundError(`No webhook with id ${id}`);
+        return this.deliveryLog.get(id);
+    }
+
+    dispatch(event) {
+        for (const hook of this.hooks.values()) {
+            if (!hook.events.includes('*') && !hook.events.includes(event.type)) continue;
+            if (hook.printers && !hook.printers.includes(event.printer.id)) continue;
+            this.deliver(hook, event);
+        }
+    }
+
+    async deliver(hook, event) {
+        // Rendered once, retries send exactly what the first attempt did
+        const body = JSON.stringify(hook.body === undefined ? event : renderTemplate(hook.body, event));
+        const delivery = {
+            id: crypto.randomUUID(),
+            event: event.type,
+            printer: event.printer.id,
+            createdAt: new Date().toISOString(),
+            status: 'pending',
+            attempts: [],
+        };
+        const log = this.deliveryLog.get(hook.id);
+        log.unshift(delivery);
+        if (log.length > MAX_DELIVERIES) log.pop();
+
+        for (let attempt = 0; attempt <= hook.retries; attempt++) {
+            if (attempt > 0) {
+                // Exponential backoff: backoffMs, 2x, 4x, ...
+                await new Promise((resolve) => setTimeout(resolve, hook.backoffMs * 2 ** (attempt - 1)));
+            }
+            const started = Date.now();
+            const record = { time: new Date(started).toISOString() };
+            try {
+                const response = await this.fetch(hook.url, {
+                    method: hook.method,
+                    headers: { 'Content-Type': 'application/json', ...hook.headers },
+                    body,
+                    signal: AbortSignal.timeout(hook.timeoutMs),
+                });
+                record.statusCode = response.status;
+                if (!response.ok) record.error = `HTTP ${response.status}`;
+            } catch (e) {
+                record.error = e.name === 'TimeoutError' ? `Timed out after ${hook.timeoutMs} ms` : e.message;
+            }
+            record.durationMs = Date.now() - started;
+            delivery.attempts.push(record);
+            if (!record.error) {
+                delivery.status = 'delivered';
+                return;
+            }
+        }
+        delivery.status = 'failed';
+        console.warn(`Webhook ${hook.id}: giving up on ${event.type} after ${delivery.attempts.length} attempts`);
+    }
+}
+
+module.exports = {
+    EVENT_TYPES,
+    WebhookDispatcher,
+    renderTemplate,
+};
@@ -0,0 +1,91 @@
+const { crc32 } = require('./crc32');
+
+// Minimal ZIP writer for files that are compressed already (JPEG frames), so
+// entries are stored as they are. No ZIP64: entries and archive stay below 4 GB.
+
+const VERSION = 20;
+// Bit 11: file names are UTF-8
+const FLAGS = 0x0800;
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+function write(stream, chunk) {
+    if (stream.destroyed) return Promise.reject(new Error('Stream closed'));
+    if (stream.write(chunk)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const done = (error) => {
+            stream.off('drain', done);
+            stream.off('close', closed);
+            if (error) reject(error);
+            else resolve();
+        };
+        const closed = () => done(new Error('Stream closed'));
+        stream.once('drain', done);
+        stream.once('close', closed);
+    });
+}
+
+// entries: [{ name, date, read: () => Promise<Buffer> }], read one at a time so
+// a large archive never sits in memory as a whole
+async function writeZip(stream, entries) {
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const data = await entry.read();
+        const name = Buffer.from(entry.name, 'utf8');
+        const { time, date } = dosDateTime(entry.date || new Date());
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(VERSION, 4);
+        local.writeUInt16LE(FLAGS, 6);
+        local.writeUInt16LE(0, 8); // stored
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+        await write(stream, Buffer.concat([local, name]));
+        await write(stream, data);
+
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(VERSION, 4);
+        header.writeUInt16LE(VERSION, 6);
+        header.writeUInt16LE(FLAGS, 8);
+        header.writeUInt16LE(0, 10);
+        header.writeUInt16LE(time, 12);
+        header.writeUInt16LE(date, 14);
+        header.writeUInt32LE(crc, 16);
+        header.writeUInt32LE(data.length, 20);
+        header.writeUInt32LE(data.length, 24);
+        header.writeUInt16LE(name.length, 28);
+        // extra field, comment, disk number, internal and external attributes stay zero
+        header.writeUInt32LE(offset, 42);
+        central.push(Buffer.concat([header, name]));
+        offset += local.length + name.length + data.length;
+    }
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(central.length, 8);
+    end.writeUInt16LE(central.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    await write(stream, Buffer.concat([directory, end]));
+    stream.end();
+}
+
+module.exports = {
+    writeZip,
+};
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { once } = require('events');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+const { Authenticator } = require('../src/auth');
+
+const ADMIN_KEY = 'admin-key-0123456789abcdef';
+const MALFORMED_COOKIE = 'ff_session=%E0%A4%A';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// The real server in a child process with auth on and an empty data directory
+async function startServer(t, configOverrides = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ff-auth-test-'));
+    const configPath = path.join(dir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        auth: { enabled: true, keys: [{ name: 'tests', key: ADMIN_KEY, role: 'admin' }] },
+        monitor: { enabled: false },
+        ...configOverrides,
+    }));
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, PORT: String(port), CONFIG_PATH: configPath, DATA_DIR: path.join(dir, 'data'), DEMO: '' },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let output = '';
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    t.after(async () => {
+        if (child.exitCode === null) {
+            child.kill();
+            await once(child, 'exit');
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    await new Promise((resolve, reject) => {
+        const check = () => {
+            if (output.includes('HTTP server running')) return resolve();
+            if (child.exitCode !== null) return reject(new Error(`Server exited: ${output}`));
+            setTimeout(check, 50);
+        };
+        check();
+    });
+    return { child, base: `http://127.0.0.1:${port}`, wsUrl: `ws://127.0.0.1:${port}/ws`, output: () => output };
+}
+
+test('a malformed session cookie is ignored', () => {
+    const auth = new Authenticator({ enabled: true, keys: [{ key: ADMIN_KEY, role: 'admin' }] });
+    assert.equal(auth.identify({ headers: { cookie: MALFORMED_COOKIE } }), null);
+    assert.doesNotThrow(() => auth.logout({ headers: { cookie: MALFORMED_COOKIE } }));
+});
+
+test('a malformed session cookie neither fails a request nor stops the server', async (t) => {
+    const { child, base, wsUrl, output } = await startServer(t);
+
+    const response = await fetch(`${base}/printers`, { headers: { Cookie: MALFORMED_COOKIE } });
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).code, 'UNAUTHORIZED');
+
+    const ws = new WebSocket(wsUrl, { headers: { Cookie: MALFORMED_COOKIE } });
+    const [code] = await once(ws, 'close');
+    assert.equal(code, 1008);
+
+    // Still up and still accepting keys
+    const me = await fetch(`${base}/auth/me`, { headers: { Authorization: `Bearer ${ADMIN_KEY}` } });
+    assert.equal((await me.json()).user.role, 'admin');
+    assert.equal(child.exitCode, null, output());
+});
+
+test('login attempts are rate limited per client', async (t) => {
+    const { base } = await startServer(t, { rateLimit: { loginsPerMinute: 3 } });
+    const login = (key) => fetch(`${base}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ key }),
+    });
+
+    for (let i = 0; i < 2; i++) {
+        assert.equal((await login(`guess-${i}-0123456789abcdef`)).status, 401);
+    }
+    assert.equal((await login(ADMIN_KEY)).status, 200);
+
+    // Even the right key is refused once the attempts are used up
+    const limited = await login(ADMIN_KEY);
+    assert.equal(limited.status, 429);
+    assert.equal((await limited.json()).code, 'RATE_LIMITED');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+});
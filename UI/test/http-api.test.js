@@ -0,0 +1,210 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { HttpApiClient, mapDetail } = require('../src/http-api');
+const { ConflictError, PrinterCommandError } = require('../src/errors');
+
+const SERIAL_NUMBER = 'SNMOMC9900728';
+const CHECK_CODE = '12345678';
+
+// A 5M Pro halfway through a print, as /detail reports it
+const PRINTING_DETAIL = {
+    status: 'printing',
+    name: 'Workshop',
+    model: 'Adventurer 5M Pro',
+    firmwareVersion: 'v2.7.5',
+    macAddr: '88:A9:A7:91:C4:5E',
+    measure: '220X220X220',
+    nozzleCnt: 1,
+    printFileName: '/data/3DBenchy_PLA_0.2mm.gx',
+    printProgress: 0.4375,
+    printLayer: 71,
+    targetPrintLayer: 158,
+    printDuration: 1860,
+    estimatedTime: 2400,
+    leftTemp: 219.6,
+    leftTargetTemp: 220,
+    rightTemp: 0,
+    rightTargetTemp: 0,
+    platTemp: 55,
+    platTargetTemp: 55,
+    chamberTemp: 31,
+    chamberTargetTemp: 0,
+    coolingFanSpeed: 100,
+    chamberFanSpeed: 30,
+    externalFanStatus: 'close',
+    internalFanStatus: 'open',
+    doorStatus: 'close',
+    lightStatus: 'open',
+    printSpeedAdjust: 100,
+    estimatedRightLen: 4210,
+    estimatedRightWeight: 12.6,
+    cameraStreamUrl: 'http://192.168.1.40:8080/?action=stream',
+    errorCode: '',
+};
+
+// Stands in for the printer's port 8898. handler(route, body, res) answers,
+// or leaves the request hanging when it returns without doing so.
+async function stubPrinter(t, handler) {
+    const requests = [];
+    const server = http.createServer(async (req, res) => {
+        let raw = '';
+        for await (const chunk of req) raw += chunk;
+        const body = JSON.parse(raw || '{}');
+        requests.push({ method: req.method, route: req.url, body });
+        handler(req.url, body, res);
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    const client = (options = {}) => new HttpApiClient('127.0.0.1', {
+        serialNumber: SERIAL_NUMBER,
+        checkCode: CHECK_CODE,
+        port: server.address().port,
+        ...options,
+    });
+    return { requests, client };
+}
+
+function replyJson(res, data) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+// Like the firmware: a wrong serial number or check code is HTTP 200 with a non-zero code
+function printerApi(detail, product = { lightCtrlState: 1 }) {
+    return (route, body, res) => {
+        if (body.serialNumber !== SERIAL_NUMBER || body.checkCode !== CHECK_CODE) {
+            return replyJson(res, { code: 1, message: 'Serial number or check code error' });
+        }
+        if (route === '/detail') return replyJson(res, { code: 0, message: 'Success', detail });
+        if (route === '/product') return replyJson(res, { code: 0, message: 'Success', product });
+        if (route === '/control') return replyJson(res, { code: 0, message: 'Success' });
+        res.writeHead(404);
+        res.end();
+    };
+}
+
+test('detail is fetched with the serial number and check code and mapped onto a snapshot', async (t) => {
+    const { requests, client } = await stubPrinter(t, printerApi(PRINTING_DETAIL));
+    const api = client();
+    const before = Date.now();
+    const snapshot = mapDetail(await api.detail(), api.serialNumber);
+
+    assert.deepEqual(requests, [{ method: 'POST', route: '/detail', body: { serialNumber: SERIAL_NUMBER, checkCode: CHECK_CODE } }]);
+    assert.deepEqual(snapshot.info, {
+        Type: 'Flashforge Adventurer 5M Pro',
+        Name: 'Workshop',
+        Firmware: 'v2.7.5',
+        SN: SERIAL_NUMBER,
+        'Tool Count': 1,
+        'Mac Address': '88:A9:A7:91:C4:5E',
+        BuildVolumeX: 220,
+        BuildVolumeY: 220,
+        BuildVolumeZ: 220,
+    });
+    assert.deepEqual(snapshot.temperatures, {
+        Temperature: 219.6,
+        TargetTemperature: 220,
+        T1Temperature: null,
+        T1TargetTemperature: null,
+        BedTemperature: 55,
+        BedTargetTemperature: 55,
+    });
+    const { EstimatedCompletion, ...progress } = snapshot.progress;
+    assert.deepEqual(progress, {
+        BytesPrinted: 0,
+        BytesTotal: 0,
+        PercentageCompleted: 43,
+        LayerCurrent: 71,
+        LayerTotal: 158,
+        ElapsedSeconds: 1860,
+        RemainingSeconds: 2400,
+    });
+    const completion = Date.parse(EstimatedCompletion);
+    assert.ok(completion >= before + 2400 * 1000 && completion <= Date.now() + 2400 * 1000);
+    assert.deepEqual(snapshot.status, {
+        MachineStatus: 'BUILDING_FROM_SD',
+        MoveMode: 'MOVING',
+        Status: {},
+        Endstop: {},
+        LED: true,
+        CurrentFile: '3DBenchy_PLA_0.2mm.gx',
+    });
+    assert.equal(snapshot.extended.chamberTemperature, 31);
+    assert.equal(snapshot.extended.internalFan, true);
+    assert.equal(snapshot.extended.doorOpen, false);
+    assert.deepEqual(snapshot.extended.filament, { estimatedLength: 4210, estimatedWeight: 12.6 });
+    assert.equal(snapshot.extended.cameraUrl, 'http://192.168.1.40:8080/?action=stream');
+    assert.equal(snapshot.extended.errorCode, null);
+});
+
+test('an idle or paused printer has no running estimate', () => {
+    const idle = mapDetail({ ...PRINTING_DETAIL, status: 'ready' }, SERIAL_NUMBER);
+    assert.equal(idle.status.MachineStatus, 'READY');
+    assert.equal(idle.progress.PercentageCompleted, 0);
+    assert.equal(idle.progress.LayerCurrent, null);
+    assert.equal(idle.status.CurrentFile, null);
+
+    const paused = mapDetail({ ...PRINTING_DETAIL, status: 'paused' }, SERIAL_NUMBER);
+    assert.equal(paused.status.MachineStatus, 'PAUSED');
+    assert.equal(paused.progress.RemainingSeconds, 2400);
+    assert.equal(paused.progress.EstimatedCompletion, null);
+
+    const dual = mapDetail({ ...PRINTING_DETAIL, nozzleCnt: 2, rightTemp: 180, rightTargetTemp: 200 }, SERIAL_NUMBER);
+    assert.equal(dual.temperatures.T1Temperature, 180);
+    assert.equal(dual.temperatures.T1TargetTemperature, 200);
+});
+
+test('a wrong check code is a PrinterCommandError with the printer message', async (t) => {
+    const { client } = await stubPrinter(t, printerApi(PRINTING_DETAIL));
+    await assert.rejects(client({ checkCode: '00000000' }).detail(), (e) => {
+        assert.ok(e instanceof PrinterCommandError);
+        assert.equal(e.message, 'HTTP API /detail: Serial number or check code error');
+        return true;
+    });
+});
+
+test('a printer that never answers times out', async (t) => {
+    const { client } = await stubPrinter(t, () => {});
+    await assert.rejects(client({ timeoutMs: 200 }).detail(), (e) => {
+        assert.ok(e instanceof PrinterCommandError);
+        assert.equal(e.message, 'HTTP API /detail failed: timed out after 200 ms');
+        return true;
+    });
+});
+
+test('a reply that is not JSON is refused', async (t) => {
+    const { client } = await stubPrinter(t, (route, body, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<html><body>Not here</body></html>');
+    });
+    await assert.rejects(client().detail(), (e) => {
+        assert.ok(e instanceof PrinterCommandError);
+        assert.equal(e.message, 'HTTP API /detail answered HTTP 200');
+        return true;
+    });
+});
+
+test('control actions send the job and light commands', async (t) => {
+    const { requests, client } = await stubPrinter(t, printerApi(PRINTING_DETAIL));
+    const api = client();
+    assert.equal(await api.control('pause'), 'Success');
+    assert.equal(await api.control('led', { state: 'off' }), 'Success');
+    assert.deepEqual(requests.map(({ route, body }) => [route, body.payload]), [
+        ['/control', { cmd: 'jobCtl_cmd', args: { jobID: '', action: 'pause' } }],
+        ['/product', undefined],
+        ['/control', { cmd: 'lightControl_cmd', args: { status: 'close' } }],
+    ]);
+    assert.equal(api.supports('home'), false);
+});
+
+test('a printer without a controllable light refuses LED commands', async (t) => {
+    const { requests, client } = await stubPrinter(t, printerApi(PRINTING_DETAIL, { lightCtrlState: 0 }));
+    await assert.rejects(client().control('led', { state: 'on' }), ConflictError);
+    assert.deepEqual(requests.map(({ route }) => route), ['/product']);
+});
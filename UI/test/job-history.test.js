@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv } = require('../src/job-history');
+
+const RECORD = {
+    id: 'job-1',
+    printerId: 'workshop',
+    printerName: 'Workshop',
+    host: '192.168.1.40',
+    file: 'cube.gx',
+    startedAt: '2026-10-19T10:00:00.000Z',
+    endedAt: '2026-10-19T11:00:00.000Z',
+    durationSeconds: 3600,
+    pausedSeconds: 0,
+    pauses: 0,
+    percentage: 100,
+    layerCurrent: 158,
+    layerTotal: 158,
+    outcome: 'completed',
+};
+
+function rows(records) {
+    return toCsv(records).split('\r\n').filter(Boolean);
+}
+
+test('history exports as CSV with a header', () => {
+    assert.deepEqual(rows([RECORD]), [
+        'id,printerId,printerName,host,file,startedAt,endedAt,durationSeconds,pausedSeconds,pauses,percentage,layerCurrent,layerTotal,outcome',
+        'job-1,workshop,Workshop,192.168.1.40,cube.gx,2026-10-19T10:00:00.000Z,2026-10-19T11:00:00.000Z,3600,0,0,100,158,158,completed',
+    ]);
+    const [, row] = rows([{ ...RECORD, file: 'a "quoted", file.gx', layerTotal: null }]);
+    assert.ok(row.includes(',"a ""quoted"", file.gx",'));
+    assert.ok(row.endsWith(',158,,completed'));
+});
+
+test('text that a spreadsheet would run as a formula is kept as text', () => {
+    const [, row] = rows([{ ...RECORD, printerName: '@SUM(A1)', file: '=HYPERLINK("http://evil.example","x").gx' }]);
+    assert.ok(row.startsWith('job-1,workshop,\'@SUM(A1),192.168.1.40,"\'=HYPERLINK(""http://evil.example"",""x"").gx",'));
+    for (const name of ['+1 cube.gx', '-cube.gx']) {
+        assert.equal(rows([{ ...RECORD, file: name }])[1].split(',')[4], `'${name}`);
+    }
+    // Numbers are left alone
+    assert.equal(rows([{ ...RECORD, pausedSeconds: -1 }])[1].split(',')[8], '-1');
+});
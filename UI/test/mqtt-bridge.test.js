@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const aedes = require('aedes');
+const mqtt = require('mqtt');
+const { MqttBridge } = require('../src/mqtt-bridge');
+
+const OPTIONS = { baseTopic: 'flashforge', discoveryPrefix: 'homeassistant' };
+
+const SNAPSHOT = {
+    info: { Type: 'Flashforge Adventurer 5M Pro', Name: 'Workshop', Firmware: 'v2.7.5' },
+    temperatures: { Temperature: 210, TargetTemperature: 210, BedTemperature: 60, BedTargetTemperature: 60 },
+    progress: { PercentageCompleted: 44, LayerCurrent: 71, LayerTotal: 158 },
+    status: { MachineStatus: 'BUILDING_FROM_SD', MoveMode: 'MOVING', LED: true, CurrentFile: 'cube.gx' },
+    errors: [],
+    timestamp: '2026-10-19T12:00:00.000Z',
+};
+
+// An in-process broker, the bridge and a client standing in for Home Assistant
+async function setup(t, runControl) {
+    const broker = aedes();
+    const server = net.createServer(broker.handle);
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const url = `mqtt://127.0.0.1:${server.address().port}`;
+
+    const messages = [];
+    const waiters = [];
+    const observer = mqtt.connect(url);
+    observer.on('message', (topic, payload) => {
+        const waiter = waiters.find((entry) => entry.topic === topic);
+        if (!waiter) return messages.push({ topic, payload: payload.toString() });
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(payload.toString());
+    });
+    await once(observer, 'connect');
+    await observer.subscribeAsync(['flashforge/#', 'homeassistant/#']);
+
+    const bridge = new MqttBridge({ ...OPTIONS, url }, { runControl });
+    bridge.start();
+    await once(bridge.client, 'connect');
+    // Wait for the bridge's own subscriptions before publishing commands
+    await new Promise((resolve) => broker.once('subscribe', () => resolve()));
+
+    t.after(async () => {
+        bridge.stop();
+        await observer.endAsync();
+        await new Promise((resolve) => broker.close(resolve));
+        server.close();
+    });
+
+    // The next payload published on topic, or one seen already
+    const next = (topic) => {
+        const seen = messages.findIndex((message) => message.topic === topic);
+        if (seen !== -1) return Promise.resolve(messages.splice(seen, 1)[0].payload);
+        return new Promise((resolve) => waiters.push({ topic, resolve }));
+    };
+    return { bridge, observer, next, messages };
+}
+
+test('publishes discovery configs and state for a polled printer', async (t) => {
+    const { bridge, next } = await setup(t, async () => 'ok');
+    bridge.publishSnapshot('workshop', { name: 'Workshop 5M', model: 'Adventurer 5M' }, SNAPSHOT);
+
+    assert.equal(await next('flashforge/bridge/status'), 'online');
+
+    const nozzle = JSON.parse(await next('homeassistant/sensor/flashforge_workshop/nozzle_temperature/config'));
+    assert.equal(nozzle.state_topic, 'flashforge/workshop/state');
+    assert.equal(nozzle.unique_id, 'flashforge_workshop_nozzle_temperature');
+    assert.equal(nozzle.unit_of_measurement, '°C');
+    assert.deepEqual(nozzle.device, {
+        identifiers: ['flashforge_workshop'],
+        name: 'Workshop 5M',
+        manufacturer: 'FlashForge',
+        model: 'Flashforge Adventurer 5M Pro',
+        sw_version: 'v2.7.5',
+    });
+
+    const light = JSON.parse(await next('homeassistant/light/flashforge_workshop/led/config'));
+    assert.equal(light.command_topic, 'flashforge/workshop/led/set');
+    const pause = JSON.parse(await next('homeassistant/button/flashforge_workshop/pause/config'));
+    assert.equal(pause.command_topic, 'flashforge/workshop/command');
+    assert.equal(pause.payload_press, 'pause');
+
+    assert.equal(await next('flashforge/workshop/availability'), 'online');
+    assert.deepEqual(JSON.parse(await next('flashforge/workshop/state')), {
+        status: 'printing',
+        machine_status: 'BUILDING_FROM_SD',
+        nozzle_temperature: 210,
+        nozzle_target: 210,
+        bed_temperature: 60,
+        bed_target: 60,
+        progress: 44,
+        layer: 71,
+        layer_total: 158,
+        current_file: 'cube.gx',
+        led: 'ON',
+        timestamp: '2026-10-19T12:00:00.000Z',
+    });
+});
+
+test('reports a printer that stopped answering as offline', async (t) => {
+    const { bridge, next, messages } = await setup(t, async () => 'ok');
+    bridge.publishSnapshot('workshop', null, { ...SNAPSHOT, errors: [{ step: 'STATUS', error: 'Connection timeout' }] });
+    assert.equal(await next('flashforge/workshop/availability'), 'offline');
+    assert.ok(!messages.some((message) => message.topic === 'flashforge/workshop/state'));
+});
+
+test('runs commands and LED changes through runControl and publishes the result', async (t) => {
+    const calls = [];
+    const runControl = async (ref, action, body) => {
+        calls.push([ref, action, body]);
+        if (action === 'cancel') throw new Error('Printer rejected command: Control failed.');
+        return 'CMD M25 Received.\r\nok';
+    };
+    const { bridge, observer, next } = await setup(t, runControl);
+    bridge.publishSnapshot('workshop', null, SNAPSHOT);
+    await next('flashforge/workshop/state');
+
+    await observer.publishAsync('flashforge/workshop/command', 'pause');
+    assert.deepEqual(JSON.parse(await next('flashforge/workshop/command/result')), {
+        action: 'pause',
+        success: true,
+        response: 'CMD M25 Received.\r\nok',
+    });
+
+    await observer.publishAsync('flashforge/workshop/led/set', 'OFF');
+    assert.equal(JSON.parse(await next('flashforge/workshop/command/result')).action, 'led');
+
+    await observer.publishAsync('flashforge/workshop/command', 'cancel');
+    assert.deepEqual(JSON.parse(await next('flashforge/workshop/command/result')), {
+        action: 'cancel',
+        success: false,
+        error: 'Printer rejected command: Control failed.',
+    });
+
+    // Unknown printers and commands never reach the printer
+    await observer.publishAsync('flashforge/workshop/command', 'self-destruct');
+    await observer.publishAsync('flashforge/elsewhere/command', 'pause');
+    await observer.publishAsync('flashforge/workshop/command', 'home');
+    await next('flashforge/workshop/command/result');
+
+    assert.deepEqual(calls, [
+        ['workshop', 'pause', {}],
+        ['workshop', 'led', { state: 'off' }],
+        ['workshop', 'cancel', {}],
+        ['workshop', 'home', {}],
+    ]);
+});
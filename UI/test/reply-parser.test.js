@@ -0,0 +1,303 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    parseInfo,
+    parseHeadLocation,
+    parseTemperatures,
+    parseProgress,
+    parseStatus,
+    machineState,
+    isJobActive,
+} = require('../src/reply-parser');
+const { resolveModel } = require('../src/printer-models');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'replies');
+
+// Captures are stored with plain newlines, printers send CRLF
+function reply(model, code) {
+    return fs.readFileSync(path.join(FIXTURES, model, `${code}.txt`), 'utf8').replace(/\r?\n/g, '\r\n');
+}
+
+// What each capture has to parse into. The Finder is idle, the Finder 2 and
+// Adventurer 3 print, the Adventurer 4 is paused, the 5M Pro is still heating
+// at the start of a job and the AD5X has just finished one.
+const EXPECTED = {
+    finder: {
+        model: 'finder',
+        info: {
+            Type: 'FlashForge Finder',
+            Name: 'My Finder',
+            Firmware: 'V1.5 20170419',
+            SN: 'SNFFNA1707320',
+            'Tool Count': 1,
+            BuildVolumeX: 140,
+            BuildVolumeY: 140,
+            BuildVolumeZ: 140,
+        },
+        headLocation: { X: 0, Y: 0, Z: 0 },
+        temperatures: {
+            Temperature: 24,
+            TargetTemperature: 0,
+            T1Temperature: null,
+            T1TargetTemperature: null,
+            BedTemperature: 0,
+            BedTargetTemperature: 0,
+        },
+        progress: { BytesPrinted: 0, BytesTotal: 100, PercentageCompleted: 0, LayerCurrent: null, LayerTotal: null },
+        status: {
+            MachineStatus: 'READY',
+            MoveMode: 'READY',
+            Status: { S: 0, L: 0, J: 0, F: 0 },
+            Endstop: { 'X-max': true, 'Y-max': true, 'Z-min': true },
+            LED: null,
+            CurrentFile: null,
+            State: 'idle',
+        },
+        state: 'idle',
+    },
+    finder2: {
+        model: 'finder',
+        info: {
+            Type: 'FlashForge Finder',
+            Name: 'Finder 2',
+            Firmware: 'V2.1.7 20191127',
+            SN: 'SNFFNB0112994',
+            'Mac Address': '88:A9:A7:02:1B:6E',
+            'Tool Count': 1,
+            BuildVolumeX: 140,
+            BuildVolumeY: 140,
+            BuildVolumeZ: 140,
+        },
+        headLocation: { X: -12.25, Y: 31.5, Z: 4.6 },
+        temperatures: {
+            Temperature: 200,
+            TargetTemperature: 200,
+            T1Temperature: null,
+            T1TargetTemperature: null,
+            BedTemperature: 0,
+            BedTargetTemperature: 0,
+        },
+        progress: { BytesPrinted: 1839420, BytesTotal: 5283761, PercentageCompleted: 34, LayerCurrent: null, LayerTotal: null },
+        status: {
+            MachineStatus: 'BUILDING_FROM_SD',
+            MoveMode: 'MOVING',
+            Status: { S: 1, L: 0, J: 0, F: 1 },
+            Endstop: { 'X-max': false, 'Y-max': false, 'Z-min': false },
+            LED: true,
+            CurrentFile: 'Calibration_Cube.g',
+            State: 'printing',
+        },
+        state: 'printing',
+    },
+    adventurer3: {
+        model: 'adventurer3',
+        info: {
+            Type: 'Flashforge Adventurer 3',
+            Name: 'Adventurer 3',
+            Firmware: 'v1.3.7',
+            SN: 'SNADVA9502341',
+            'Mac Address': '88:A9:A7:90:1D:3B',
+            'Tool Count': 1,
+            BuildVolumeX: 150,
+            BuildVolumeY: 150,
+            BuildVolumeZ: 150,
+        },
+        headLocation: { X: 86.9984, Y: 70.5016, Z: 14.2 },
+        temperatures: {
+            Temperature: 210,
+            TargetTemperature: 210,
+            T1Temperature: null,
+            T1TargetTemperature: null,
+            BedTemperature: 60,
+            BedTargetTemperature: 60,
+        },
+        progress: { BytesPrinted: 4276, BytesTotal: 9550, PercentageCompleted: 44, LayerCurrent: 71, LayerTotal: 158 },
+        status: {
+            MachineStatus: 'BUILDING_FROM_SD',
+            MoveMode: 'MOVING',
+            Status: { S: 1, L: 0, J: 0, F: 1 },
+            Endstop: { 'X-max': false, 'Y-max': false, 'Z-min': false },
+            LED: true,
+            CurrentFile: '20mm_Box.gx',
+            State: 'printing',
+        },
+        state: 'printing',
+    },
+    adventurer4: {
+        model: 'adventurer4',
+        info: {
+            Type: 'Flashforge Adventurer 4',
+            Name: 'Lab A4',
+            Firmware: 'v2.2.3',
+            SN: 'SNADVB0204587',
+            'Mac Address': '88:A9:A7:92:5C:01',
+            'Tool Count': 1,
+            BuildVolumeX: 220,
+            BuildVolumeY: 200,
+            BuildVolumeZ: 250,
+        },
+        headLocation: { X: 110, Y: 100, Z: 62.4 },
+        temperatures: {
+            Temperature: 232,
+            TargetTemperature: 240,
+            T1Temperature: null,
+            T1TargetTemperature: null,
+            BedTemperature: 65,
+            BedTargetTemperature: 65,
+        },
+        progress: { BytesPrinted: 6402118, BytesTotal: 12804236, PercentageCompleted: 50, LayerCurrent: 312, LayerTotal: 624 },
+        status: {
+            MachineStatus: 'BUILDING_FROM_SD',
+            MoveMode: 'PAUSED',
+            Status: { S: 1, L: 0, J: 0, F: 1 },
+            Endstop: { 'X-max': false, 'Y-max': false, 'Z-min': false },
+            LED: false,
+            CurrentFile: 'bracket_PETG.gx',
+            State: 'paused',
+        },
+        // The nozzle cooled down a little while paused, that doesn't make it heating
+        state: 'paused',
+    },
+    'adventurer5m-pro': {
+        model: 'adventurer5m',
+        info: {
+            Type: 'Flashforge Adventurer 5M Pro',
+            Name: 'Workshop',
+            Firmware: 'v2.7.5',
+            SN: 'SNMOMC9900728',
+            'Mac Address': '88:A9:A7:91:C4:5E',
+            'Tool Count': 1,
+            BuildVolumeX: 220,
+            BuildVolumeY: 220,
+            BuildVolumeZ: 220,
+        },
+        headLocation: { X: 0, Y: 0, Z: 0.2 },
+        temperatures: {
+            Temperature: 140.5,
+            TargetTemperature: 220,
+            T1Temperature: 0,
+            T1TargetTemperature: 0,
+            BedTemperature: 54.8,
+            BedTargetTemperature: 55,
+        },
+        progress: { BytesPrinted: 0, BytesTotal: 100, PercentageCompleted: 0, LayerCurrent: 0, LayerTotal: 412 },
+        status: {
+            MachineStatus: 'BUILDING_FROM_SD',
+            MoveMode: 'MOVING',
+            Status: { S: 1, L: 0, J: 0, F: 0 },
+            Endstop: { 'X-max': true, 'Y-max': true, 'Z-min': false },
+            LED: true,
+            CurrentFile: '3DBenchy_PLA_0.2mm.gx',
+            State: 'printing',
+        },
+        state: 'heating',
+    },
+    ad5x: {
+        model: 'ad5x',
+        info: {
+            Type: 'Flashforge AD5X',
+            Name: 'AD5X-Office',
+            Firmware: 'v1.0.8',
+            SN: 'SNMQRE9400117',
+            'Mac Address': '88:A9:A7:93:0A:7F',
+            'Tool Count': 1,
+            BuildVolumeX: 220,
+            BuildVolumeY: 220,
+            BuildVolumeZ: 220,
+        },
+        headLocation: { X: -105, Y: 108.5, Z: 89.6 },
+        temperatures: {
+            Temperature: 61.2,
+            TargetTemperature: 0,
+            T1Temperature: 0,
+            T1TargetTemperature: 0,
+            BedTemperature: 48.3,
+            BedTargetTemperature: 0,
+        },
+        progress: { BytesPrinted: 100, BytesTotal: 100, PercentageCompleted: 100, LayerCurrent: 448, LayerTotal: 448 },
+        status: {
+            MachineStatus: 'COMPLETED',
+            MoveMode: 'READY',
+            Status: { S: 1, L: 0, J: 0, F: 0 },
+            Endstop: { 'X-max': false, 'Y-max': false, 'Z-min': false },
+            LED: true,
+            CurrentFile: 'vase_4color.3mf',
+            State: 'completed',
+        },
+        state: 'completed',
+    },
+};
+
+for (const [fixture, expected] of Object.entries(EXPECTED)) {
+    test(`${fixture} replies`, async (t) => {
+        await t.test('M115', () => {
+            const info = parseInfo(reply(fixture, 'M115'));
+            assert.deepEqual(info, expected.info);
+            assert.equal(resolveModel(info.Type).id, expected.model);
+        });
+        await t.test('M114', () => {
+            assert.deepEqual(parseHeadLocation(reply(fixture, 'M114')), expected.headLocation);
+        });
+        await t.test('M105', () => {
+            assert.deepEqual(parseTemperatures(reply(fixture, 'M105')), expected.temperatures);
+        });
+        await t.test('M27', () => {
+            assert.deepEqual(parseProgress(reply(fixture, 'M27')), expected.progress);
+        });
+        await t.test('M119', () => {
+            assert.deepEqual(parseStatus(reply(fixture, 'M119')), expected.status);
+        });
+        await t.test('machine state with temperatures', () => {
+            const status = parseStatus(reply(fixture, 'M119'));
+            const temperatures = parseTemperatures(reply(fixture, 'M105'));
+            assert.equal(machineState(status, temperatures), expected.state);
+        });
+    });
+}
+
+test('machineState', async (t) => {
+    await t.test('maps every firmware status', () => {
+        assert.equal(machineState({ MachineStatus: 'READY', MoveMode: 'READY' }), 'idle');
+        assert.equal(machineState({ MachineStatus: 'BUILDING_FROM_SD', MoveMode: 'MOVING' }), 'printing');
+        assert.equal(machineState({ MachineStatus: 'PAUSED', MoveMode: 'PAUSED' }), 'paused');
+        assert.equal(machineState({ MachineStatus: 'COMPLETED', MoveMode: 'READY' }), 'completed');
+        assert.equal(machineState({ MachineStatus: 'ERROR', MoveMode: 'READY' }), 'error');
+        assert.equal(machineState({ MachineStatus: 'SOMETHING_NEW' }), 'unknown');
+        assert.equal(machineState({}), 'unknown');
+    });
+
+    await t.test('only counts heaters with a target', () => {
+        const status = { MachineStatus: 'BUILDING_FROM_SD', MoveMode: 'MOVING' };
+        assert.equal(machineState(status, { Temperature: 30, TargetTemperature: 0, BedTemperature: 25, BedTargetTemperature: 0 }), 'printing');
+        assert.equal(machineState(status, { Temperature: 206, TargetTemperature: 210, BedTemperature: 40, BedTargetTemperature: 60 }), 'heating');
+        assert.equal(machineState(status, { Temperature: 206, TargetTemperature: 210, BedTemperature: 58, BedTargetTemperature: 60 }), 'printing');
+    });
+
+    await t.test('active jobs', () => {
+        assert.deepEqual(['idle', 'heating', 'printing', 'paused', 'completed', 'error'].filter(isJobActive), ['heating', 'printing', 'paused']);
+    });
+});
+
+test('replies missing fields parse to nulls', () => {
+    const empty = 'CMD M119 Received.\r\nok\r\n';
+    assert.deepEqual(parseStatus(empty), {
+        MachineStatus: null,
+        MoveMode: null,
+        Status: {},
+        Endstop: {},
+        LED: null,
+        CurrentFile: null,
+        State: 'unknown',
+    });
+    assert.deepEqual(parseInfo('CMD M115 Received.\r\nok\r\n'), {});
+    assert.deepEqual(parseHeadLocation('CMD M114 Received.\r\nok\r\n'), {});
+    assert.deepEqual(parseProgress('CMD M27 Received.\r\nok\r\n'), {
+        BytesPrinted: 0,
+        BytesTotal: 0,
+        PercentageCompleted: 0,
+        LayerCurrent: null,
+        LayerTotal: null,
+    });
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TelemetryStore } = require('../src/telemetry-store');
+
+// Two samples a second apart, queried back unaggregated
+function recordAndQuery(t, first, second) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ff-telemetry-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const store = new TelemetryStore(dir);
+    const now = Date.now();
+    store.record('workshop', { ...first, timestamp: new Date(now - 2000).toISOString() });
+    store.record('workshop', { ...second, timestamp: new Date(now - 1000).toISOString() });
+    return store.query('workshop', { from: now - 2000, to: now, step: 1 }).points.map(({ time, ...values }) => values);
+}
+
+const PRINTING = {
+    temperatures: { Temperature: 210, TargetTemperature: 210, BedTemperature: 60, BedTargetTemperature: 60 },
+    progress: { PercentageCompleted: 44, LayerCurrent: 71, LayerTotal: 158 },
+    errors: [],
+};
+
+test('samples are recorded from the temperatures and progress of a snapshot', (t) => {
+    const points = recordAndQuery(t, PRINTING, {
+        ...PRINTING,
+        temperatures: { ...PRINTING.temperatures, Temperature: 211.5 },
+        progress: { ...PRINTING.progress, PercentageCompleted: '45', LayerCurrent: null },
+    });
+    assert.deepEqual(points, [
+        { Temperature: 210, TargetTemperature: 210, BedTemperature: 60, BedTargetTemperature: 60, PercentageCompleted: 44, LayerCurrent: 71, LayerTotal: 158 },
+        { Temperature: 211.5, TargetTemperature: 210, BedTemperature: 60, BedTargetTemperature: 60, PercentageCompleted: 45, LayerTotal: 158 },
+    ]);
+});
+
+test('fields of failed steps are not recorded', (t) => {
+    const points = recordAndQuery(t, {
+        ...PRINTING,
+        progress: { PercentageCompleted: 0 },
+        errors: [{ step: 'PROGRESS', error: 'Connection timeout' }],
+    }, {
+        // What fetchSnapshot leaves behind when M105 and M27 time out
+        temperatures: { Temperature: 0, TargetTemperature: 0 },
+        progress: { BytesPrinted: 0, BytesTotal: 0, PercentageCompleted: 0 },
+        errors: [{ step: 'TEMP', error: 'Connection timeout' }, { step: 'PROGRESS', error: 'Connection timeout' }],
+    });
+    assert.deepEqual(points, [
+        { Temperature: 210, TargetTemperature: 210, BedTemperature: 60, BedTargetTemperature: 60 },
+    ]);
+});